@@ -1,13 +1,33 @@
+import { nextId } from './shared/ids.js';
+import { errorEllipse, getRoomForPosition, roomPolygon } from './shared/positioning.js';
+
 // Constants
 const API_BASE = 'http://localhost:8383';
 const DEFAULT_POSITION = { x: 200, y: 200 };
-const DISTANCE_SCALE = 50;
-const RSSI_TX_POWER = -45;
-const PATH_LOSS_EXPONENT = 2.2;
+const PLAYBACK_TICK = 250; // Milliseconds between timeline playback frames
+const TIMELINE_WINDOW = 60 * 60 * 1000; // Default playback range: the last hour
+const TRAIL_LENGTH = 20; // Positions shown in the movement trail of a selected device
+const PRESENCE_TIMEOUT = 5 * 60 * 1000; // Devices unseen for longer are left out of room head counts
+const HEATMAP_MAX_DWELL = 5 * 60 * 1000; // Longest time a single reading counts for in the heatmap
+const HEATMAP_COLORS = d3.interpolateYlOrRd;
+const MIN_ROOM_SIZE = 20; // Smallest width or height of a room drawn or resized in the editor
+const EDITOR_EXTENT = 10000; // Half the size of the surface rooms are drawn on in the editor
 
 // Global state
 let deviceVisibility = {};
 let currentLevelId = null;
+let currentDevices = {}; // Latest reading per device id, kept up to date by the live stream
+let calibrationMode = false;
+let showFiltered = true; // Plot Kalman-filtered tracks instead of raw per-reading positions
+let selectedDevices = new Set(); // Devices whose movement trail is drawn
+let trails = {}; // Recent readings of each selected device on the current level, oldest first
+let heatmap = { enabled: false, readings: [], from: null, to: null };
+let timeline = { active: false, playing: false, readings: [], from: null, to: null, time: null, timer: null };
+// Floor plan edit mode: the edited copy of the layout, the last saved one and the undo/redo stacks of snapshots
+let editor = {
+    active: false, drawing: false, grid: 0, draft: null, saved: null, undo: [], redo: [],
+    selectedRoomId: null, sketch: null, resizing: null, before: null
+};
 
 // Data Fetching
 
@@ -21,12 +41,12 @@ async function fetchAccessPoints(levelId) {
 }
 
 /**
- * Fetches all device readings (signal data) from the API.
- * @param {number} levelId - Optional level ID to filter readings by specific level.
- * @returns {Promise<Array>} Array of device readings with signal strength and timestamp information.
+ * Fetches the current state of every device, i.e. its most recent reading, from the API.
+ * @param {number} levelId - Optional level ID to only include devices currently on that level.
+ * @returns {Promise<Array>} Array with the latest reading of each device, including signal strength and timestamp.
  */
-async function fetchDeviceReadings(levelId) {
-    return d3.json(`${API_BASE}/device-readings${levelId ? `?levelId=${levelId}` : ''}`);
+async function fetchCurrentDevices(levelId) {
+    return d3.json(`${API_BASE}/devices${levelId ? `?levelId=${levelId}` : ''}`);
 }
 
 /**
@@ -39,102 +59,45 @@ async function fetchRooms(levelId) {
 }
 
 /**
- * Fetches all building levels from the API.
- * @returns {Promise<Array>} Array of level objects containing floor information.
+ * Fetches the calibration reference points recorded for a level.
+ * @param {number} levelId - The level ID to fetch reference points for.
+ * @returns {Promise<Array>} Array of reference points with their known position and RSSI vector.
  */
-async function fetchLevels() {
-    return d3.json(`${API_BASE}/levels`);
+async function fetchReferencePoints(levelId) {
+    return d3.json(`${API_BASE}/reference-points${levelId ? `?levelId=${levelId}` : ''}`);
 }
 
-// Utility Functions
-
 /**
- * Converts RSSI (Received Signal Strength Indicator) to estimated distance.
- * Uses the free space path loss model formula for wireless signal propagation.
- * @param {number} rssi - The RSSI value in dBm.
- * @param {number} tx - Transmit power in dBm (defaults to RSSI_TX_POWER constant).
- * @param {number} n - Path loss exponent for the environment (defaults to PATH_LOSS_EXPONENT constant).
- * @returns {number} Estimated distance in scaled units.
+ * Fetches the most recent readings of a device on a level, for its movement trail.
+ * @param {string} deviceId - The device ID.
+ * @param {number} levelId - The level the trail is drawn on.
+ * @returns {Promise<Array>} Up to TRAIL_LENGTH readings, oldest first.
  */
-function rssiToDistance(rssi, tx = RSSI_TX_POWER, n = PATH_LOSS_EXPONENT) {
-    return Math.pow(10, (tx - rssi) / (10 * n)) * DISTANCE_SCALE;
+async function fetchDeviceTrail(deviceId, levelId) {
+    return d3.json(`${API_BASE}/devices/${deviceId}/readings?levelId=${levelId}&limit=${TRAIL_LENGTH}`);
 }
 
 /**
- * Determines which room a given coordinate position falls within.
- * @param {number} x - The x-coordinate to check.
- * @param {number} y - The y-coordinate to check.
- * @param {Array} rooms - Array of room objects containing boundary information.
- * @returns {string} The name of the room containing the position, or "Outside" if no match.
+ * Fetches the readings of all devices within a time window, oldest first.
+ * @param {Date} from - Start of the window.
+ * @param {Date} to - End of the window.
+ * @param {number} levelId - Optional level ID to only include readings on that level.
+ * @returns {Promise<Array>} Array of device readings with their computed positions.
  */
-function getRoomForPosition(x, y, rooms) {
-    for (const room of rooms) {
-        if (x >= room.x && x <= room.x + room.width && y >= room.y && y <= room.y + room.height) {
-            return room.name;
-        }
-    }
-    return "Outside";
+async function fetchReadingsBetween(from, to, levelId) {
+    const level = levelId ? `&levelId=${levelId}` : '';
+    return d3.json(`${API_BASE}/device-readings?from=${from.toISOString()}&to=${to.toISOString()}${level}`);
 }
 
 /**
- * Calculates device position using trilateration from three reference points.
- * Uses the least squares method to find the intersection point of three circles.
- * @param {Object} p1 - First reference point with properties {x, y, d} where d is distance.
- * @param {Object} p2 - Second reference point with properties {x, y, d}.
- * @param {Object} p3 - Third reference point with properties {x, y, d}.
- * @returns {Object|null} Calculated position as {x, y}, or null if triangulation fails.
+ * Fetches all building levels from the API.
+ * @returns {Promise<Array>} Array of level objects containing floor information.
  */
-function trilaterate(p1, p2, p3) {
-    const { x: xa, y: ya, d: ra } = p1;
-    const { x: xb, y: yb, d: rb } = p2;
-    const { x: xc, y: yc, d: rc } = p3;
-
-    const A = 2 * (xa - xb);
-    const B = 2 * (ya - yb);
-    const C = rb * rb - ra * ra - xb * xb + xa * xa - yb * yb + ya * ya;
-    const D = 2 * (xa - xc);
-    const E = 2 * (ya - yc);
-    const F = rc * rc - ra * ra - xc * xc + xa * xa - yc * yc + ya * ya;
-
-    const denom = A * E - B * D;
-    if (Math.abs(denom) < 1e-6) return null;
-
-    return {
-        x: (C * E - B * F) / denom,
-        y: (A * F - C * D) / denom
-    };
+async function fetchLevels() {
+    return d3.json(`${API_BASE}/levels`);
 }
 
-/**
- * Computes the final position of a device based on signal readings from multiple access points.
- * Filters signals for validity and applies trilateration to estimate coordinates.
- * @param {Array} accessPoints - Array of access point objects with location data.
- * @param {Array} signals - Array of signal readings from the device to different access points.
- * @param {Array} rooms - Array of room objects for position validation.
- * @returns {Object|null} Computed device position as {x, y}, or null if position is invalid or outside rooms.
- */
-function computeDevicePosition(accessPoints, signals, rooms) {
-    if (signals.length < 3) return null;
-
-    // Filter signals to only those with access points in the current level
-    const validSignals = signals.filter(s => accessPoints.find(ap => ap.id === s.apId));
-    if (validSignals.length < 3) return null;
-
-    const points = validSignals.map(s => {
-        const ap = accessPoints.find(a => a.id === s.apId);
-        return { x: ap.x, y: ap.y, d: rssiToDistance(s.rssi) };
-    });
-
-    const pos = trilaterate(points[0], points[1], points[2]);
-    if (!pos) return null;
-
-    // Check if the position is inside any room
-    if (getRoomForPosition(pos.x, pos.y, rooms) === "Outside") {
-        return null; // Hide device if position is outside all rooms
-    }
-
-    return pos;
-}
+// Utility Functions
 
 /**
  * Filters device readings to only include those from a specific building level.
@@ -147,39 +110,49 @@ function filterReadingsByLevel(readings, levelId) {
 }
 
 /**
- * Extracts the most recent reading for each unique device from a collection of readings.
- * Useful for displaying current device positions without historical data.
- * @param {Array} readings - Array of device reading objects with timestamp information.
- * @returns {Array} Array of latest readings, one per device ID.
+ * Formats a date as the local-time value of a datetime-local input.
+ * @param {Date} date - The date to format.
+ * @returns {string} The date as YYYY-MM-DDTHH:mm:ss in local time.
  */
-function getLatestReadings(readings) {
-    const latest = {};
-    readings.forEach(reading => {
-        if (!latest[reading.id] || new Date(reading.date) > new Date(latest[reading.id].date)) {
-            latest[reading.id] = reading;
-        }
-    });
-    return Object.values(latest);
+function toDateTimeInputValue(date) {
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 19);
 }
 
 // Visualization Functions
 
+/**
+ * Builds the SVG path outlining a room, whether a polygon or a rectangle.
+ * @param {Object} room - Room object with coordinates, dimensions and an optional polygon.
+ * @returns {string} The path data, closed back to its first vertex.
+ */
+function roomPath(room) {
+    return `M${roomPolygon(room).join('L')}Z`;
+}
+
+/**
+ * Finds where to label a room: the centroid of its outline.
+ * @param {Object} room - Room object with coordinates, dimensions and an optional polygon.
+ * @returns {Object} The label position as {x, y}.
+ */
+function roomCenter(room) {
+    const [x, y] = d3.polygonCentroid(roomPolygon(room));
+    return { x, y };
+}
+
 /**
  * Renders room boundaries and labels on the D3 SVG canvas.
- * Creates rectangles for each room with associated text labels.
+ * Creates an outline for each room with associated text labels and an initially empty head count below each name.
  * @param {D3Selection} g - The D3 SVG group element to append room visualizations to.
- * @param {Array} rooms - Array of room objects containing coordinates, dimensions, and names.
+ * @param {Array} rooms - Array of room objects containing coordinates, dimensions, optional polygons, and names.
  */
 function drawRooms(g, rooms) {
-    g.selectAll('rect.room')
+    g.selectAll('path.room')
         .data(rooms)
         .enter()
-        .append('rect')
+        .append('path')
         .attr('class', 'room')
-        .attr('x', d => d.x)
-        .attr('y', d => d.y)
-        .attr('width', d => d.width)
-        .attr('height', d => d.height)
+        .attr('d', roomPath)
         .attr('fill', 'none')
         .attr('stroke', '#d2d2d7')
         .attr('stroke-width', 2);
@@ -189,12 +162,47 @@ function drawRooms(g, rooms) {
         .enter()
         .append('text')
         .attr('class', 'room-label')
-        .attr('x', d => d.x + d.width / 2)
-        .attr('y', d => d.y + d.height / 2)
+        .attr('x', d => roomCenter(d).x)
+        .attr('y', d => roomCenter(d).y)
         .attr('text-anchor', 'middle')
         .attr('dominant-baseline', 'middle')
         .attr('fill', '#1d1d1f')
         .text(d => d.name);
+
+    g.selectAll('text.room-count')
+        .data(rooms)
+        .enter()
+        .append('text')
+        .attr('class', 'room-count')
+        .attr('x', d => roomCenter(d).x)
+        .attr('y', d => roomCenter(d).y + 20)
+        .attr('text-anchor', 'middle')
+        .attr('dominant-baseline', 'middle')
+        .attr('font-size', '12px')
+        .attr('fill', '#86868b');
+}
+
+/**
+ * Labels each room with the number of devices in it: those whose latest plotted position lies in
+ * the room and that were seen within PRESENCE_TIMEOUT of the given moment.
+ * @param {D3Selection} g - The D3 SVG group element containing the room labels.
+ * @param {Array} readings - Latest reading of each device on the current level.
+ * @param {number} now - The moment to count at, as milliseconds since the epoch.
+ */
+function updateRoomCounts(g, readings, now) {
+    const counts = {};
+    readings
+        .filter(d => now - new Date(d.date).getTime() <= PRESENCE_TIMEOUT)
+        .forEach(d => {
+            const roomId = showFiltered && d.filtered ? d.filtered.roomId : d.position?.roomId;
+            if (roomId) counts[roomId] = (counts[roomId] || 0) + 1;
+        });
+
+    g.selectAll('text.room-count')
+        .text(d => {
+            const count = counts[d.id] || 0;
+            return `${count} ${count === 1 ? 'person' : 'people'}`;
+        });
 }
 
 /**
@@ -218,6 +226,7 @@ function drawAccessPoints(g, accessPoints) {
         .data(accessPoints)
         .enter()
         .append('text')
+        .attr('class', 'ap-label')
         .attr('x', d => d.x + 10)
         .attr('y', d => d.y - 10)
         .attr('fill', '#1d1d1f')
@@ -225,6 +234,25 @@ function drawAccessPoints(g, accessPoints) {
         .attr('font-size', '12px');
 }
 
+/**
+ * Renders calibration reference points as small crosses at their known positions.
+ * Replaces any reference points drawn before.
+ * @param {D3Selection} g - The D3 SVG group element to append reference point markers to.
+ * @param {Array} referencePoints - Array of reference points with x and y coordinates.
+ */
+function drawReferencePoints(g, referencePoints) {
+    g.selectAll('path.reference-point').remove();
+
+    g.selectAll('path.reference-point')
+        .data(referencePoints)
+        .enter()
+        .append('path')
+        .attr('class', 'reference-point')
+        .attr('d', d => `M${d.x - 6},${d.y - 6}L${d.x + 6},${d.y + 6}M${d.x - 6},${d.y + 6}L${d.x + 6},${d.y - 6}`)
+        .attr('stroke', '#e3342f')
+        .attr('stroke-width', 2);
+}
+
 // Sidebar Functions
 
 /**
@@ -293,6 +321,58 @@ function initLevelSelector(levels) {
     });
 }
 
+/**
+ * Shows the positioning and tracking methods of the current level in the level picker.
+ */
+function updateLevelMethodSelectors() {
+    const level = (window.levels || []).find(l => l.id === window.currentLevelId);
+    document.getElementById('positioningMethod').value = level?.positioningMethod || 'trilateration';
+    document.getElementById('trackingMethod').value = level?.trackingMethod || 'kalman';
+}
+
+/**
+ * Initializes the positioning and tracking method selectors in the level picker panel.
+ * Changing either updates the current level on the server, which recomputes the level's
+ * positions and tracks; they are then reloaded.
+ */
+function initLevelMethodSelectors() {
+    updateLevelMethodSelectors();
+
+    [['positioningMethod', 'positioningMethod'], ['trackingMethod', 'trackingMethod']].forEach(([elementId, field]) => {
+        const select = document.getElementById(elementId);
+        select.addEventListener('change', async () => {
+            try {
+                const response = await fetch(`${API_BASE}/levels/${window.currentLevelId}`, {
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ [field]: select.value })
+                });
+                if (!response.ok) throw new Error(await response.text());
+
+                const updated = await response.json();
+                window.levels = window.levels.map(l => l.id === updated.id ? updated : l);
+                await switchLevel(window.currentLevelId);
+            } catch (error) {
+                console.error(`Error changing ${field}:`, error);
+                updateLevelMethodSelectors();
+            }
+        });
+    });
+}
+
+/**
+ * Initializes the toggle between raw and Kalman-filtered device positions.
+ */
+function initFilteredToggle() {
+    const toggle = document.getElementById('filteredToggle');
+    toggle.checked = showFiltered;
+    toggle.addEventListener('change', () => {
+        showFiltered = toggle.checked;
+        drawHeatmap(window.zoomGroup);
+        refreshDeviceDisplay(document.getElementById('deviceSearch').value.toLowerCase());
+    });
+}
+
 /**
  * Handles switching between different building levels.
  * Fetches level-specific data, updates visualizations, and refreshes the device display.
@@ -300,18 +380,16 @@ function initLevelSelector(levels) {
  */
 async function switchLevel(levelId) {
     try {
-        const [aps, allReads, reads, rooms] = await Promise.all([
+        const [aps, allReads, rooms] = await Promise.all([
             fetchAccessPoints(levelId),
-            fetchDeviceReadings(),
-            fetchDeviceReadings(levelId),
+            fetchCurrentDevices(),
             fetchRooms(levelId)
         ]);
 
-        const { innerWidth: width, innerHeight: height } = window;
-
         window.accessPoints = aps;
         window.rooms = rooms;
         window.currentLevelId = levelId;
+        setCurrentDevices(allReads);
 
         // Update active level in picker
         document.querySelectorAll('.level-item').forEach(item => {
@@ -320,106 +398,414 @@ async function switchLevel(levelId) {
                 item.classList.add('active');
             }
         });
+        updateLevelMethodSelectors();
 
-        // Filter readings to only those for the current level
-        const filteredReads = filterReadingsByLevel(reads, levelId);
+        await Promise.all([refreshTrails(), loadHeatmap()]);
 
-        // Clear and redraw
+        // Clear and redraw; the device plot follows the timeline when it is active
         window.zoomGroup.selectAll('*').remove();
         drawRooms(window.zoomGroup, rooms);
         drawAccessPoints(window.zoomGroup, aps);
+        drawHeatmap(window.zoomGroup);
         updateSidebar(allReads);
-        updateDevicePlot(window.zoomGroup, filteredReads, aps, width - 200, height, rooms);
+        refreshDeviceDisplay();
+        await refreshReferencePoints();
+        drawEditor(window.zoomGroup);
     } catch (error) {
         console.error('Error switching level:', error);
     }
 }
 
 /**
- * Updates the device list in the sidebar with visibility toggle checkboxes.
+ * Updates the device list in the sidebar with visibility toggle checkboxes and selection state.
  * Sorts devices alphabetically and includes device ID information.
+ * Existing entries are reused, so a single new reading only touches its own row.
  * @param {Array} readings - Array of device readings to populate the sidebar.
  */
 function updateSidebar(readings) {
-    const devices = getLatestReadings(readings).sort((a, b) => a.name.localeCompare(b.name));
+    const devices = readings.slice().sort((a, b) => a.name.localeCompare(b.name));
 
     const deviceList = document.getElementById('deviceList');
-    deviceList.innerHTML = '';
+    const ids = new Set(devices.map(device => device.id));
+    deviceList.querySelectorAll('.device-item').forEach(item => {
+        if (!ids.has(item.dataset.deviceId)) item.remove();
+    });
 
     devices.forEach(device => {
         if (deviceVisibility[device.id] === undefined) {
             deviceVisibility[device.id] = true;
         }
 
-        const deviceItem = document.createElement('div');
-        deviceItem.className = 'device-item';
-
-        const checkbox = document.createElement('input');
-        checkbox.type = 'checkbox';
-        checkbox.id = `device-${device.id}`;
-        checkbox.checked = deviceVisibility[device.id];
-        checkbox.addEventListener('change', async (e) => {
-            deviceVisibility[device.id] = e.target.checked;
-            const { innerWidth: width, innerHeight: height } = window;
-            const searchTerm = document.getElementById('deviceSearch').value.toLowerCase();
-            const [allReads, currentReadsRaw] = await Promise.all([
-                fetchDeviceReadings(),
-                fetchDeviceReadings(window.currentLevelId)
-            ]);
-            const currentReads = filterReadingsByLevel(currentReadsRaw, window.currentLevelId);
-            updateDevicePlot(window.zoomGroup, currentReads, window.accessPoints, width - 200, height, window.rooms, searchTerm);
-            updateSidebar(allReads);
-        });
-
-        const label = document.createElement('label');
-        label.htmlFor = `device-${device.id}`;
-        label.textContent = `${device.name} (${device.id})`;
+        let deviceItem = deviceList.querySelector(`.device-item[data-device-id="${device.id}"]`);
+        if (!deviceItem) {
+            deviceItem = createSidebarItem(device);
+        }
+        deviceItem.querySelector('label').textContent = `${device.name} (${device.id})`;
+        deviceItem.querySelector('input').checked = deviceVisibility[device.id];
+        deviceItem.classList.toggle('selected', selectedDevices.has(device.id));
 
-        deviceItem.appendChild(checkbox);
-        deviceItem.appendChild(label);
+        // Appending an existing node moves it, which keeps the list sorted
         deviceList.appendChild(deviceItem);
     });
 }
 
+/**
+ * Creates the sidebar row for a device with its visibility checkbox.
+ * @param {Object} device - Latest reading of the device.
+ * @returns {HTMLElement} The device row element.
+ */
+function createSidebarItem(device) {
+    const deviceItem = document.createElement('div');
+    deviceItem.className = 'device-item';
+    deviceItem.dataset.deviceId = device.id;
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.id = `device-${device.id}`;
+    checkbox.addEventListener('change', (e) => {
+        deviceVisibility[device.id] = e.target.checked;
+        const searchTerm = document.getElementById('deviceSearch').value.toLowerCase();
+        refreshDeviceDisplay(searchTerm);
+    });
+
+    checkbox.setAttribute('aria-label', 'Show on map');
+
+    // Clicking the name selects the device and shows its trail; the checkbox only toggles visibility
+    const label = document.createElement('label');
+    deviceItem.addEventListener('click', (e) => {
+        if (e.target === checkbox) return;
+        toggleDeviceSelection(device.id);
+    });
+
+    deviceItem.appendChild(checkbox);
+    deviceItem.appendChild(label);
+    return deviceItem;
+}
+
+// Occupancy Heatmap
+
+/**
+ * Weights each positioned reading by how long its device stayed there: the time until the
+ * device's next reading, capped at HEATMAP_MAX_DWELL, so the heatmap shows time spent rather
+ * than how often devices report.
+ * @param {Array} readings - Readings on one level, oldest first.
+ * @param {number} to - End of the period as milliseconds since the epoch.
+ * @returns {Array} Points as {x, y, weight} with the weight in seconds.
+ */
+function dwellPoints(readings, to) {
+    const estimateOf = d => (showFiltered && d.filtered) || d.position;
+    const next = {};
+    const points = [];
+    for (let i = readings.length - 1; i >= 0; i--) {
+        const reading = readings[i];
+        const time = new Date(reading.date).getTime();
+        const until = next[reading.id] ?? to;
+        next[reading.id] = time;
+
+        const estimate = estimateOf(reading);
+        if (!estimate) continue;
+        points.push({ x: estimate.x, y: estimate.y, weight: Math.min(until - time, HEATMAP_MAX_DWELL) / 1000 });
+    }
+    return points;
+}
+
+/**
+ * Loads the readings of the current level over the chosen heatmap period.
+ * Does nothing while the heatmap is switched off.
+ */
+async function loadHeatmap() {
+    if (!heatmap.enabled) return;
+    const to = new Date();
+    const from = new Date(to.getTime() - Number(document.getElementById('heatmapPeriod').value));
+    heatmap.readings = await fetchReadingsBetween(from, to, window.currentLevelId);
+    heatmap.from = from.getTime();
+    heatmap.to = to.getTime();
+}
+
+/**
+ * Draws the occupancy heatmap of the current level as filled density contours over the room floors,
+ * beneath the room labels, and updates its legend. Removes both while the heatmap is switched off.
+ * @param {D3Selection} g - The D3 SVG group element to render the heatmap on.
+ */
+function drawHeatmap(g) {
+    g.select('g.heatmap').remove();
+    const legend = document.getElementById('heatmapLegend');
+    legend.hidden = !heatmap.enabled;
+    if (!heatmap.enabled) return;
+
+    const points = dwellPoints(heatmap.readings, heatmap.to);
+    const extent = [...window.rooms, ...points.map(p => ({ x: p.x, y: p.y, width: 0, height: 0 }))];
+    const width = d3.max(extent, d => d.x + d.width) || 0;
+    const height = d3.max(extent, d => d.y + d.height) || 0;
+    const bandwidth = Number(document.getElementById('heatmapBandwidth').value);
+
+    const contours = points.length
+        ? d3.contourDensity()
+            .x(d => d.x)
+            .y(d => d.y)
+            .weight(d => d.weight)
+            .size([width + 2 * bandwidth, height + 2 * bandwidth])
+            .bandwidth(bandwidth)
+            .thresholds(12)(points)
+        : [];
+    const color = d3.scaleSequential(HEATMAP_COLORS).domain([0, d3.max(contours, d => d.value) || 1]);
+
+    const layer = g.select('text.room-label').empty()
+        ? g.insert('g', 'circle.ap')
+        : g.insert('g', 'text.room-label');
+    layer.attr('class', 'heatmap')
+        .style('pointer-events', 'none')
+        .selectAll('path')
+        .data(contours)
+        .join('path')
+        .attr('d', d3.geoPath())
+        .attr('fill', d => color(d.value))
+        .attr('fill-opacity', 0.45);
+
+    const hours = d3.sum(points, p => p.weight) / 3600;
+    document.getElementById('heatmapTotal').textContent = hours < 1
+        ? `${Math.round(hours * 60)} device-minutes on this level`
+        : `${hours.toFixed(1)} device-hours on this level`;
+}
+
+/**
+ * Initializes the heatmap controls in the level picker: the on/off toggle, the period and the
+ * kernel bandwidth. Changing the bandwidth only redraws; the other controls reload the readings.
+ */
+function initHeatmapControls() {
+    const toggle = document.getElementById('heatmapToggle');
+    const settings = document.getElementById('heatmapSettings');
+    document.getElementById('heatmapLegendBar').style.background =
+        `linear-gradient(to right, ${d3.range(0, 1.01, 0.25).map(t => HEATMAP_COLORS(t)).join(', ')})`;
+
+    const reload = async () => {
+        try {
+            await loadHeatmap();
+            drawHeatmap(window.zoomGroup);
+        } catch (error) {
+            console.error('Error loading heatmap:', error);
+        }
+    };
+
+    toggle.addEventListener('change', () => {
+        heatmap.enabled = toggle.checked;
+        settings.hidden = !toggle.checked;
+        reload();
+    });
+    document.getElementById('heatmapPeriod').addEventListener('change', reload);
+    document.getElementById('heatmapBandwidth').addEventListener('input', () => drawHeatmap(window.zoomGroup));
+}
+
+// Movement Trails
+
+/**
+ * Selects or deselects a device. Selected devices show their recent path on the map.
+ * @param {string} deviceId - The device ID.
+ */
+async function toggleDeviceSelection(deviceId) {
+    if (selectedDevices.has(deviceId)) {
+        selectedDevices.delete(deviceId);
+        delete trails[deviceId];
+    } else {
+        selectedDevices.add(deviceId);
+        try {
+            trails[deviceId] = await fetchDeviceTrail(deviceId, window.currentLevelId);
+        } catch (error) {
+            console.error('Error fetching device trail:', error);
+            trails[deviceId] = [];
+        }
+    }
+    updateSidebar(Object.values(currentDevices));
+    refreshDeviceDisplay(document.getElementById('deviceSearch').value.toLowerCase());
+}
+
+/**
+ * Refetches the trails of all selected devices, e.g. after switching levels.
+ */
+async function refreshTrails() {
+    const ids = [...selectedDevices];
+    const fetched = await Promise.all(ids.map(id => fetchDeviceTrail(id, window.currentLevelId)));
+    trails = {};
+    ids.forEach((id, i) => {
+        trails[id] = fetched[i];
+    });
+}
+
+/**
+ * Adds a live reading to its device's trail if the device is selected and the reading is on the current level.
+ * @param {Object} reading - The device reading that was written on the server.
+ */
+function extendTrail(reading) {
+    if (!selectedDevices.has(reading.id) || reading.levelId !== window.currentLevelId) return;
+    const trail = (trails[reading.id] || []).filter(r => r.date !== reading.date);
+    trail.push(reading);
+    trail.sort((a, b) => new Date(a.date) - new Date(b.date));
+    trails[reading.id] = trail.slice(-TRAIL_LENGTH);
+}
+
+/**
+ * Returns the trail of a selected device, as of the timeline position while the timeline is active.
+ * @param {string} deviceId - The device ID.
+ * @returns {Array} Up to TRAIL_LENGTH readings on the current level, oldest first.
+ */
+function trailOf(deviceId) {
+    if (!timeline.active) return trails[deviceId] || [];
+    return timeline.readings
+        .filter(r => r.id === deviceId && r.levelId === window.currentLevelId && new Date(r.date).getTime() <= timeline.time)
+        .slice(-TRAIL_LENGTH);
+}
+
+/**
+ * Draws the movement trails of the selected, visible devices beneath the device markers.
+ * Each trail is a polyline through the device's last positions that fades out towards the oldest one;
+ * hovering a point shows when the device was there.
+ * @param {D3Selection} g - The D3 SVG group element to render trails on.
+ */
+function drawTrails(g) {
+    const estimateOf = d => (showFiltered && d.filtered) || d.position;
+    const data = [...selectedDevices]
+        .filter(id => deviceVisibility[id] !== false)
+        .map(id => ({ id, points: trailOf(id).filter(estimateOf).map(r => ({ ...estimateOf(r), name: r.name, date: r.date })) }))
+        .filter(trail => trail.points.length);
+    const opacityOf = (i, n) => 0.15 + 0.85 * (i + 1) / n;
+
+    let layer = g.select('g.trails');
+    if (layer.empty()) {
+        layer = g.insert('g', 'g.device').attr('class', 'trails');
+    }
+
+    const trailGroups = layer.selectAll('g.trail')
+        .data(data, d => d.id)
+        .join('g')
+        .attr('class', 'trail');
+
+    trailGroups.selectAll('line')
+        .data(d => d.points.slice(1).map((p, i) => ({ from: d.points[i], to: p, opacity: opacityOf(i, d.points.length - 1) })))
+        .join('line')
+        .attr('x1', d => d.from.x)
+        .attr('y1', d => d.from.y)
+        .attr('x2', d => d.to.x)
+        .attr('y2', d => d.to.y)
+        .attr('stroke', '#0071e3')
+        .attr('stroke-width', 3)
+        .attr('stroke-linecap', 'round')
+        .attr('stroke-opacity', d => d.opacity);
+
+    trailGroups.selectAll('circle')
+        .data(d => d.points.map((p, i) => ({ ...p, opacity: opacityOf(i, d.points.length) })))
+        .join('circle')
+        .attr('cx', d => d.x)
+        .attr('cy', d => d.y)
+        .attr('r', 5)
+        .attr('fill', '#0071e3')
+        .attr('fill-opacity', d => d.opacity)
+        .on('mouseover', function(event, d) {
+            const svgRect = d3.select('#canvas').node().getBoundingClientRect();
+            const transform = d3.zoomTransform(g.node());
+            d3.select('#tooltip')
+                .interrupt()
+                .style('display', 'block')
+                .style('opacity', 1)
+                .style('left', `${svgRect.left + d.x * transform.k + transform.x}px`)
+                .style('top', `${svgRect.top + d.y * transform.k + transform.y + 10}px`)
+                .style('transform', 'translateX(-50%)')
+                .html(`<strong>${d.name}</strong><br>${new Date(d.date).toLocaleString()}`);
+        })
+        .on('mouseout', () => {
+            d3.select('#tooltip').style('display', 'none');
+        });
+}
+
 // Device Plotting
 
 /**
- * Renders all device positions on the canvas based on their calculated coordinates.
+ * Renders all device positions on the canvas based on the coordinates the server computed on ingest,
+ * either the raw position of the latest reading or the filtered track, depending on the display toggle.
+ * Devices are joined by ID, so existing markers are updated in place rather than redrawn.
+ * Each device is surrounded by a translucent 95% error ellipse derived from its position covariance.
  * Handles visibility filtering, tooltips on hover, and search result highlighting.
+ * With a duration, markers that are already on the map move to their new position in a linear transition.
  * @param {D3Selection} g - The D3 SVG group element to render devices on.
  * @param {Array} readings - Array of device readings to plot.
- * @param {Array} accessPoints - Array of access points used for position calculation.
+ * @param {Array} accessPoints - Array of access points on the current level.
  * @param {number} width - Canvas width for layout calculations.
  * @param {number} height - Canvas height for layout calculations.
  * @param {Array} rooms - Array of room objects for position validation and room information.
  * @param {string} searchTerm - Optional search term to highlight matching devices.
+ * @param {number} duration - Optional length of the move transition in milliseconds.
  */
-function updateDevicePlot(g, readings, accessPoints, width, height, rooms, searchTerm = '') {
-    g.selectAll('g.device').remove();
+function updateDevicePlot(g, readings, accessPoints, width, height, rooms, searchTerm = '', duration = 0) {
+    const deviceData = readings.filter(device => deviceVisibility[device.id] !== false);
+    const estimateOf = d => (showFiltered && d.filtered) || d.position;
+    const positionOf = d => estimateOf(d) || DEFAULT_POSITION;
+    const ellipseOf = d => estimateOf(d)?.covariance ? errorEllipse(estimateOf(d).covariance) : null;
 
-    const deviceData = getLatestReadings(readings).filter(device => deviceVisibility[device.id] !== false);
+    const devices = g.selectAll('g.device')
+        .data(deviceData, d => d.id);
 
-    const deviceGroup = g.selectAll('g.device')
-        .data(deviceData)
-        .enter()
+    devices.exit().remove();
+
+    const entered = devices.enter()
         .append('g')
         .attr('class', 'device');
 
-    deviceGroup.append('circle')
+    entered.append('ellipse')
+        .attr('class', 'device-uncertainty')
+        .attr('fill', '#0071e3')
+        .attr('fill-opacity', 0.12)
+        .attr('stroke', '#0071e3')
+        .attr('stroke-opacity', 0.35)
+        .attr('stroke-width', 1)
+        .style('pointer-events', 'none');
+
+    entered.append('circle')
         .attr('class', 'device')
         .attr('r', 18)
         .attr('fill', '#f5f5f7')
         .attr('stroke', '#1d1d1f')
-        .attr('stroke-width', 1)
-        .attr('cx', d => computeDevicePosition(accessPoints, d.signals, rooms)?.x || DEFAULT_POSITION.x)
-        .attr('cy', d => computeDevicePosition(accessPoints, d.signals, rooms)?.y || DEFAULT_POSITION.y)
+        .attr('stroke-width', 1);
+
+    entered.append('text')
+        .attr('class', 'device-label')
+        .attr('text-anchor', 'middle')
+        .attr('font-size', '10px')
+        .attr('fill', '#1d1d1f')
+        .attr('font-weight', 'bold')
+        .style('pointer-events', 'none')
+        .style('user-select', 'none');
+
+    const deviceGroup = entered.merge(devices);
+
+    // New markers appear in place; existing ones may glide to their new position
+    const place = selection => {
+        selection.select('ellipse.device-uncertainty')
+            .attr('transform', d => `translate(${positionOf(d).x},${positionOf(d).y}) rotate(${ellipseOf(d)?.angle || 0})`);
+        selection.select('circle.device')
+            .attr('cx', d => positionOf(d).x)
+            .attr('cy', d => positionOf(d).y);
+        selection.select('text.device-label')
+            .attr('x', d => positionOf(d).x)
+            .attr('y', d => positionOf(d).y + 4);
+    };
+    place(entered);
+    place(duration ? devices.transition('move').duration(duration).ease(d3.easeLinear) : devices);
+
+    deviceGroup.select('ellipse.device-uncertainty')
+        .style('display', d => ellipseOf(d) ? null : 'none')
+        .attr('rx', d => ellipseOf(d)?.rx || 0)
+        .attr('ry', d => ellipseOf(d)?.ry || 0);
+
+    deviceGroup.select('circle.device')
         .on('mouseover', function(event, d) {
             d3.select(this)
                 .transition()
                 .duration(300)
                 .attr('r', 24);
-            const pos = computeDevicePosition(accessPoints, d.signals, rooms) || DEFAULT_POSITION;
+            const pos = positionOf(d);
             const room = getRoomForPosition(pos.x, pos.y, rooms);
+            const ellipse = ellipseOf(d);
+            const uncertainty = ellipse ? `±${Math.round(ellipse.rx)} × ±${Math.round(ellipse.ry)}` : 'Unknown';
+            const levelLine = d.levelSource === 'inferred' ? `Level: inferred (${Math.round(d.levelConfidence * 100)}%)<br>` : '';
             const svgRect = d3.select('#canvas').node().getBoundingClientRect();
             const transform = d3.zoomTransform(g.node());
             const circleX = svgRect.left + (pos.x * transform.k + transform.x);
@@ -430,7 +816,7 @@ function updateDevicePlot(g, readings, accessPoints, width, height, rooms, searc
                 .style('left', `${circleX}px`)
                 .style('top', `${circleY}px`)
                 .style('transform', 'translateX(-50%)')
-                .html(`<strong>${d.name}</strong><br>Room: ${room}<br>${d.signals.map(s => `${s.apId}: ${s.rssi}`).join('<br>')}`)
+                .html(`<strong>${d.name}</strong><br>Room: ${room}<br>${levelLine}Uncertainty: ${uncertainty}<br>${d.signals.map(s => `${s.apId}: ${s.rssi}`).join('<br>')}`)
                 .transition()
                 .duration(300)
                 .style('opacity', 1);
@@ -449,21 +835,10 @@ function updateDevicePlot(g, readings, accessPoints, width, height, rooms, searc
                 });
         });
 
-    deviceGroup.append('text')
-        .attr('class', 'device-label')
-        .attr('x', d => computeDevicePosition(accessPoints, d.signals, rooms)?.x || DEFAULT_POSITION.x)
-        .attr('y', d => (computeDevicePosition(accessPoints, d.signals, rooms)?.y || DEFAULT_POSITION.y) + 4)
-        .attr('text-anchor', 'middle')
-        .attr('font-size', '10px')
-        .attr('fill', '#1d1d1f')
-        .attr('font-weight', 'bold')
-        .style('pointer-events', 'none')
-        .style('user-select', 'none')
+    deviceGroup.select('text.device-label')
         .text(d => d.name);
 
-    if (searchTerm) {
-        highlightDevice(searchTerm, g, readings, accessPoints, rooms);
-    }
+    highlightDevice(searchTerm, g, readings, accessPoints, rooms);
 }
 
 /**
@@ -484,7 +859,7 @@ function highlightDevice(searchTerm, g, readings, accessPoints, rooms) {
 
     if (searchTerm === '') return;
 
-    const matchingDevices = getLatestReadings(readings).filter(device =>
+    const matchingDevices = readings.filter(device =>
         device.name.toLowerCase().includes(searchTerm) ||
         device.id.toLowerCase().includes(searchTerm)
     );
@@ -501,54 +876,979 @@ function highlightDevice(searchTerm, g, readings, accessPoints, rooms) {
     });
 }
 
-// Simulation
+// Calibration
 
 /**
- * Generates simulated device signal readings for testing purposes.
- * Creates realistic RSSI values from a random device to multiple access points.
- * @param {Array} accessPoints - Array of access point objects to generate signals from.
- * @param {number} levelId - The level ID to associate with the simulated reading.
- * @returns {Object} Simulated device reading object with name, ID, signals, and timestamp.
+ * Draws the reference points of the current level while calibration mode is on, and removes them otherwise.
  */
-function simulateDeviceReadings(accessPoints, levelId) {
-    const devices = [
-        { id: 'DEV001', name: 'John' },
-        { id: 'DEV002', name: 'Alice' },
-        { id: 'DEV003', name: 'Bob' },
-        { id: 'DEV004', name: 'Charlie' },
-        { id: 'DEV005', name: 'David' },
-        { id: 'DEV006', name: 'Eva' },
-        { id: 'DEV007', name: 'Frank' },
-        { id: 'DEV008', name: 'Grace' }
-    ];
-    const randomDevice = devices[Math.floor(Math.random() * devices.length)];
+async function refreshReferencePoints() {
+    const points = calibrationMode ? await fetchReferencePoints(window.currentLevelId) : [];
+    drawReferencePoints(window.zoomGroup, points);
+}
 
-    const signals = accessPoints.map(ap => ({
-        apId: ap.id,
-        rssi: Math.floor(-35 - Math.random() * 45)
-    })).sort((a, b) => b.rssi - a.rssi).slice(0, 3);
+/**
+ * Fills the reference device picker with every known device, keeping the current choice if it still exists.
+ */
+function updateCalibrationDevices() {
+    const select = document.getElementById('calibrationDevice');
+    const selected = select.value;
+    select.innerHTML = '';
+    Object.values(currentDevices)
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(device => {
+            const option = document.createElement('option');
+            option.value = device.id;
+            option.textContent = `${device.name} (${device.id})`;
+            select.appendChild(option);
+        });
+    if (currentDevices[selected]) {
+        select.value = selected;
+    }
+}
 
-    return { ...randomDevice, signals, date: new Date().toISOString(), levelId };
+/**
+ * Shows the outcome of a calibration fit: the mean positioning error before and after,
+ * and the fitted transmit power and path loss exponent of each access point.
+ * @param {Object} result - Calibration result returned by the API.
+ */
+function renderCalibrationResult(result) {
+    const formatError = e => e.meanError === null ? 'n/a' : `${Math.round(e.meanError)}`;
+    const apLines = result.accessPoints
+        .filter(ap => ap.samples > 0)
+        .map(ap => `${ap.apId}: ${ap.txPower} dBm, n = ${ap.pathLossExponent} (${ap.samples} points)`);
+    document.getElementById('calibrationResult').innerHTML = `
+        <strong>Mean error:</strong> ${formatError(result.before)} &rarr; ${formatError(result.after)}
+        (${result.after.samples} points)${result.applied ? ' &mdash; applied' : ''}<br>
+        ${apLines.join('<br>')}
+    `;
 }
 
-// Initialization
+/**
+ * Sends a calibration request for the current level and shows the result.
+ * @param {boolean} apply - Whether the fitted parameters should be stored on the access points.
+ * @returns {Promise<Object|null>} The calibration result, or null if the request failed.
+ */
+async function runCalibration(apply) {
+    const response = await fetch(`${API_BASE}/calibration`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ levelId: window.currentLevelId, apply })
+    });
+    if (!response.ok) {
+        document.getElementById('calibrationResult').textContent = await response.text();
+        return null;
+    }
+    const result = await response.json();
+    renderCalibrationResult(result);
+    return result;
+}
 
 /**
- * Refreshes the device plot visualization based on current level and search term.
- * Fetches the latest device readings and updates the visualization accordingly.
- * @param {string} searchTerm - Optional search term for highlighting specific devices.
+ * Initializes calibration mode. While active, clicking the map records a reference point:
+ * the clicked position paired with the latest RSSI vector of the chosen reference device.
+ * @param {D3Selection} canvas - The D3 selection of the SVG canvas.
  */
-async function refreshDeviceDisplay(searchTerm = '') {
+function initCalibration(canvas) {
+    const button = document.getElementById('calibrateButton');
+    const section = document.getElementById('calibrationSection');
+    const select = document.getElementById('calibrationDevice');
+    const applyButton = document.getElementById('applyButton');
+
+    button.addEventListener('click', async () => {
+        calibrationMode = !calibrationMode;
+        button.classList.toggle('active', calibrationMode);
+        canvas.classed('calibrating', calibrationMode);
+        section.hidden = !calibrationMode;
+        if (calibrationMode) {
+            updateCalibrationDevices();
+        }
+        try {
+            await refreshReferencePoints();
+        } catch (error) {
+            console.error('Error loading reference points:', error);
+        }
+    });
+
+    select.addEventListener('focus', updateCalibrationDevices);
+
+    canvas.on('click', async (event) => {
+        if (!calibrationMode || editor.active || event.defaultPrevented) return;
+        const device = currentDevices[select.value];
+        if (!device) return;
+
+        const [x, y] = d3.pointer(event, window.zoomGroup.node());
+        try {
+            await fetch(`${API_BASE}/reference-points`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    levelId: window.currentLevelId,
+                    x: Math.round(x),
+                    y: Math.round(y),
+                    signals: device.signals,
+                    deviceId: device.id
+                })
+            });
+            await refreshReferencePoints();
+        } catch (error) {
+            console.error('Error recording reference point:', error);
+        }
+    });
+
+    document.getElementById('fitButton').addEventListener('click', async () => {
+        try {
+            applyButton.hidden = !(await runCalibration(false));
+        } catch (error) {
+            console.error('Error fitting calibration:', error);
+        }
+    });
+
+    applyButton.addEventListener('click', async () => {
+        try {
+            if (await runCalibration(true)) {
+                applyButton.hidden = true;
+                await switchLevel(window.currentLevelId);
+            }
+        } catch (error) {
+            console.error('Error applying calibration:', error);
+        }
+    });
+}
+
+// Floor Plan Editor
+
+/**
+ * Fetches the levels, rooms and access points of the whole building.
+ * @returns {Promise<Object>} The layout as { levels, rooms, accessPoints }.
+ */
+async function fetchLayout() {
+    const [levels, rooms, accessPoints] = await Promise.all([fetchLevels(), fetchRooms(), fetchAccessPoints()]);
+    return { levels, rooms, accessPoints };
+}
+
+/**
+ * Rounds a map coordinate to the editor grid, or to a whole unit while snapping is off.
+ * @param {number} value - The coordinate in map units.
+ * @returns {number} The snapped coordinate.
+ */
+function snapToGrid(value) {
+    return editor.grid ? Math.round(value / editor.grid) * editor.grid : Math.round(value);
+}
+
+/**
+ * Compares the edited layout with the saved one.
+ * Created levels come first, so rooms drawn on them can refer to them, and deleted rooms last.
+ * @returns {Array} The requests that store the edits, as { method, path, body }.
+ */
+function layoutChanges() {
+    const requests = [];
+    const deletions = [];
+    ['levels', 'rooms', 'accessPoints'].forEach(key => {
+        const resource = key === 'accessPoints' ? 'access-points' : key;
+        const before = editor.saved[key];
+        const after = editor.draft[key];
+        after.forEach(item => {
+            const saved = before.find(b => b.id === item.id);
+            if (!saved) {
+                requests.push({ method: 'POST', path: `/${resource}`, body: item });
+            } else if (JSON.stringify(saved) !== JSON.stringify(item)) {
+                requests.push({ method: 'PUT', path: `/${resource}/${item.id}`, body: item });
+            }
+        });
+        before
+            .filter(item => !after.some(a => a.id === item.id))
+            .forEach(item => deletions.push({ method: 'DELETE', path: `/${resource}/${item.id}` }));
+    });
+    return [...requests, ...deletions];
+}
+
+/**
+ * Recomputes the bounding box of a polygon room from its vertices, as the server stores it.
+ * @param {Object} room - Room object with a polygon.
+ */
+function setRoomBounds(room) {
+    const [x0, x1] = d3.extent(room.polygon, p => p[0]);
+    const [y0, y1] = d3.extent(room.polygon, p => p[1]);
+    Object.assign(room, { x: x0, y: y0, width: x1 - x0, height: y1 - y0 });
+}
+
+/**
+ * Takes a snapshot of the edited layout, to be handed to commitEdit once a change is made.
+ * @returns {string} The layout as JSON.
+ */
+function snapshotLayout() {
+    return JSON.stringify(editor.draft);
+}
+
+/**
+ * Records a change on the undo stack, unless the layout is unchanged since the snapshot (e.g. a click without a drag).
+ * Clears the redo stack and refreshes the editor.
+ * @param {string} snapshot - The layout before the change, from snapshotLayout.
+ */
+function commitEdit(snapshot) {
+    if (snapshot !== snapshotLayout()) {
+        editor.undo.push(snapshot);
+        editor.redo = [];
+    }
+    renderEditor();
+}
+
+/**
+ * Replaces the edited layout with a snapshot from the undo or redo stack.
+ * Switches to the first level if the current one no longer exists in it.
+ * @param {string} snapshot - The layout to restore, as JSON.
+ */
+async function restoreLayout(snapshot) {
+    editor.draft = JSON.parse(snapshot);
+    if (!editor.draft.rooms.some(room => room.id === editor.selectedRoomId)) {
+        editor.selectedRoomId = null;
+    }
+    initLevelSelector(editor.draft.levels);
+    if (!editor.draft.levels.some(level => level.id === window.currentLevelId)) {
+        currentLevelId = editor.draft.levels[0].id;
+        await switchLevel(currentLevelId);
+    }
+    renderEditor();
+}
+
+/**
+ * Steps back through the edits made since the last save.
+ */
+async function undoEdit() {
+    if (!editor.undo.length) return;
+    editor.redo.push(snapshotLayout());
+    await restoreLayout(editor.undo.pop());
+}
+
+/**
+ * Reapplies the last undone edit.
+ */
+async function redoEdit() {
+    if (!editor.redo.length) return;
+    editor.undo.push(snapshotLayout());
+    await restoreLayout(editor.redo.pop());
+}
+
+/**
+ * Redraws the editable floor plan and updates the editor controls in the sidebar.
+ */
+function renderEditor() {
+    drawEditor(window.zoomGroup);
+
+    const dirty = editor.active && layoutChanges().length > 0;
+    document.getElementById('editorUndoButton').disabled = !editor.undo.length;
+    document.getElementById('editorRedoButton').disabled = !editor.redo.length;
+    document.getElementById('editorSaveButton').disabled = !dirty;
+    document.getElementById('editorDiscardButton').disabled = !dirty;
+    document.getElementById('editorDrawButton').classList.toggle('active', editor.drawing);
+
+    const room = editor.active && editor.draft.rooms.find(r => r.id === editor.selectedRoomId);
+    const roomName = document.getElementById('editorRoomName');
+    document.getElementById('editorRoom').hidden = !room;
+    if (room && document.activeElement !== roomName) {
+        roomName.value = room.name;
+    }
+}
+
+/**
+ * Draws the edited rooms and access points of the current level above the map, with drag behaviours
+ * to move them, corner handles to resize the selected room and, while drawing, a surface to drag new rooms on.
+ * Elements are joined by ID, so they stay in place while being dragged. Removes the editor layer outside edit mode.
+ * @param {D3Selection} g - The D3 SVG group element to render the editor on.
+ */
+function drawEditor(g) {
+    d3.select('#canvas').classed('editing', editor.active);
+    if (!editor.active) {
+        g.select('g.editor').remove();
+        return;
+    }
+
+    let layer = g.select('g.editor');
+    if (layer.empty()) {
+        layer = g.append('g').attr('class', 'editor');
+        layer.append('defs').append('pattern')
+            .attr('id', 'editorGridPattern')
+            .attr('patternUnits', 'userSpaceOnUse')
+            .append('path')
+            .attr('fill', 'none')
+            .attr('stroke', '#e5e5ea');
+        layer.append('rect')
+            .attr('class', 'editor-surface')
+            .attr('x', -EDITOR_EXTENT)
+            .attr('y', -EDITOR_EXTENT)
+            .attr('width', 2 * EDITOR_EXTENT)
+            .attr('height', 2 * EDITOR_EXTENT)
+            .call(d3.drag()
+                .on('start', event => {
+                    const x = snapToGrid(event.x);
+                    const y = snapToGrid(event.y);
+                    editor.sketch = { x0: x, y0: y, x, y, width: 0, height: 0 };
+                })
+                .on('drag', event => {
+                    const { x0, y0 } = editor.sketch;
+                    const x1 = snapToGrid(event.x);
+                    const y1 = snapToGrid(event.y);
+                    Object.assign(editor.sketch, {
+                        x: Math.min(x0, x1), y: Math.min(y0, y1), width: Math.abs(x1 - x0), height: Math.abs(y1 - y0)
+                    });
+                    drawEditor(g);
+                })
+                .on('end', () => {
+                    const { x, y, width, height } = editor.sketch;
+                    editor.sketch = null;
+                    editor.drawing = false;
+                    if (width < MIN_ROOM_SIZE || height < MIN_ROOM_SIZE) {
+                        renderEditor();
+                        return;
+                    }
+                    const snapshot = snapshotLayout();
+                    const onLevel = editor.draft.rooms.filter(r => r.levelId === window.currentLevelId);
+                    const room = {
+                        id: nextId('R', editor.draft.rooms, 3),
+                        name: `Room ${onLevel.length + 1}`,
+                        x, y, width, height,
+                        levelId: window.currentLevelId
+                    };
+                    editor.draft.rooms.push(room);
+                    editor.selectedRoomId = room.id;
+                    commitEdit(snapshot);
+                }));
+    }
+
+    const grid = editor.grid;
+    layer.select('pattern')
+        .attr('width', grid || 1)
+        .attr('height', grid || 1)
+        .select('path')
+        .attr('d', grid ? `M${grid},0L0,0L0,${grid}` : '');
+    layer.select('rect.editor-surface')
+        .classed('drawing', editor.drawing)
+        .attr('fill', grid ? 'url(#editorGridPattern)' : 'transparent');
+
+    const rooms = editor.draft.rooms.filter(room => room.levelId === window.currentLevelId);
+    const accessPoints = editor.draft.accessPoints.filter(ap => ap.levelId === window.currentLevelId);
+    // Moves the dragged room or access point; drag behaviours are bound once, when an element is created
+    const moveDrag = d3.drag()
+        .on('start', function(event, d) {
+            editor.before = snapshotLayout();
+            if (this.classList.contains('editor-room')) {
+                editor.selectedRoomId = d.id;
+                renderEditor();
+            }
+        })
+        .on('drag', (event, d) => {
+            const x = snapToGrid(event.x);
+            const y = snapToGrid(event.y);
+            if (d.polygon) {
+                d.polygon = d.polygon.map(([px, py]) => [px + x - d.x, py + y - d.y]);
+            }
+            d.x = x;
+            d.y = y;
+            drawEditor(g);
+        })
+        .on('end', () => commitEdit(editor.before));
+
+    layer.selectAll('path.editor-room')
+        .data(rooms, d => d.id)
+        .join(enter => enter.append('path').attr('class', 'editor-room').call(moveDrag))
+        .attr('d', roomPath)
+        .attr('fill', 'rgba(0, 113, 227, 0.04)')
+        .attr('stroke', d => d.id === editor.selectedRoomId ? '#0071e3' : '#86868b')
+        .attr('stroke-width', 2);
+
+    layer.selectAll('text.editor-label')
+        .data(rooms, d => d.id)
+        .join('text')
+        .attr('class', 'editor-label')
+        .attr('x', d => roomCenter(d).x)
+        .attr('y', d => roomCenter(d).y)
+        .attr('text-anchor', 'middle')
+        .attr('dominant-baseline', 'middle')
+        .attr('fill', '#1d1d1f')
+        .text(d => d.name);
+
+    // Corner handles of the selected rectangle room; dragging one keeps the opposite corner in place
+    const selected = rooms.find(room => room.id === editor.selectedRoomId);
+    const corners = selected && !selected.polygon ? [
+        { corner: 'nw', x: selected.x, y: selected.y, fixedX: selected.x + selected.width, fixedY: selected.y + selected.height },
+        { corner: 'ne', x: selected.x + selected.width, y: selected.y, fixedX: selected.x, fixedY: selected.y + selected.height },
+        { corner: 'sw', x: selected.x, y: selected.y + selected.height, fixedX: selected.x + selected.width, fixedY: selected.y },
+        { corner: 'se', x: selected.x + selected.width, y: selected.y + selected.height, fixedX: selected.x, fixedY: selected.y }
+    ] : [];
+    const resizeDrag = d3.drag()
+        .on('start', (event, d) => {
+            editor.before = snapshotLayout();
+            editor.resizing = { room: editor.draft.rooms.find(r => r.id === editor.selectedRoomId), ...d };
+        })
+        .on('drag', event => {
+            const { room, fixedX, fixedY } = editor.resizing;
+            const x = snapToGrid(event.x);
+            const y = snapToGrid(event.y);
+            room.width = Math.max(Math.abs(x - fixedX), MIN_ROOM_SIZE);
+            room.height = Math.max(Math.abs(y - fixedY), MIN_ROOM_SIZE);
+            room.x = x < fixedX ? fixedX - room.width : fixedX;
+            room.y = y < fixedY ? fixedY - room.height : fixedY;
+            drawEditor(g);
+        })
+        .on('end', () => {
+            editor.resizing = null;
+            commitEdit(editor.before);
+        });
+
+    layer.selectAll('rect.editor-handle')
+        .data(corners, d => d.corner)
+        .join(enter => enter.append('rect').attr('class', d => `editor-handle ${d.corner}`).call(resizeDrag))
+        .attr('x', d => d.x - 6)
+        .attr('y', d => d.y - 6)
+        .attr('width', 12)
+        .attr('height', 12)
+        .attr('fill', '#ffffff')
+        .attr('stroke', '#0071e3')
+        .attr('stroke-width', 2);
+
+    // Vertex handles of the selected polygon room, each moving one vertex
+    const vertices = selected?.polygon ? selected.polygon.map(([x, y], index) => ({ index, x, y })) : [];
+    const vertexDrag = d3.drag()
+        .on('start', (event, d) => {
+            editor.before = snapshotLayout();
+            editor.resizing = { room: editor.draft.rooms.find(r => r.id === editor.selectedRoomId), ...d };
+        })
+        .on('drag', event => {
+            const { room, index } = editor.resizing;
+            room.polygon[index] = [snapToGrid(event.x), snapToGrid(event.y)];
+            setRoomBounds(room);
+            drawEditor(g);
+        })
+        .on('end', () => {
+            editor.resizing = null;
+            commitEdit(editor.before);
+        });
+
+    layer.selectAll('circle.editor-vertex')
+        .data(vertices, d => d.index)
+        .join(enter => enter.append('circle').attr('class', 'editor-handle editor-vertex').call(vertexDrag))
+        .attr('cx', d => d.x)
+        .attr('cy', d => d.y)
+        .attr('r', 6)
+        .attr('fill', '#ffffff')
+        .attr('stroke', '#0071e3')
+        .attr('stroke-width', 2);
+
+    layer.selectAll('circle.editor-ap')
+        .data(accessPoints, d => d.id)
+        .join(enter => enter.append('circle').attr('class', 'editor-ap').call(moveDrag))
+        .attr('cx', d => d.x)
+        .attr('cy', d => d.y)
+        .attr('r', 8)
+        .attr('fill', '#0071e3');
+
+    layer.selectAll('text.editor-ap-label')
+        .data(accessPoints, d => d.id)
+        .join('text')
+        .attr('class', 'editor-label editor-ap-label')
+        .attr('x', d => d.x + 10)
+        .attr('y', d => d.y - 10)
+        .attr('fill', '#1d1d1f')
+        .attr('font-size', '12px')
+        .text(d => d.id);
+
+    layer.selectAll('rect.editor-sketch')
+        .data(editor.sketch ? [editor.sketch] : [])
+        .join('rect')
+        .attr('class', 'editor-sketch editor-label')
+        .attr('x', d => d.x)
+        .attr('y', d => d.y)
+        .attr('width', d => d.width)
+        .attr('height', d => d.height)
+        .attr('fill', 'rgba(0, 113, 227, 0.1)')
+        .attr('stroke', '#0071e3')
+        .attr('stroke-dasharray', '6 4');
+}
+
+/**
+ * Sends the edits to the server, one request per created, changed or deleted item, and reloads the map.
+ * Stops at the first rejected request and shows why; the edits after it stay unsaved.
+ */
+async function saveLayout() {
+    const status = document.getElementById('editorStatus');
+    const requests = layoutChanges();
+    status.textContent = 'Saving…';
+    let complete = false;
     try {
-        const { innerWidth: width, innerHeight: height } = window;
-        const currentReadsRaw = await fetchDeviceReadings(window.currentLevelId);
-        const currentReads = filterReadingsByLevel(currentReadsRaw, window.currentLevelId);
-        updateDevicePlot(window.zoomGroup, currentReads, window.accessPoints, width - 200, height, window.rooms, searchTerm);
+        for (const { method, path, body } of requests) {
+            const response = await fetch(`${API_BASE}${path}`, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: body && JSON.stringify(body)
+            });
+            if (!response.ok) {
+                throw new Error(`${method} ${path}: ${await response.text()}`);
+            }
+        }
+        status.textContent = `Saved ${requests.length} ${requests.length === 1 ? 'change' : 'changes'}.`;
+        editor.undo = [];
+        editor.redo = [];
+        complete = true;
     } catch (error) {
-        console.error('Error refreshing device display:', error);
+        console.error('Error saving floor plan:', error);
+        status.textContent = error.message;
+    }
+
+    // Whatever got stored is the new baseline; once all of it is, the draft takes on the fields the server filled in
+    try {
+        editor.saved = await fetchLayout();
+        if (complete) {
+            editor.draft = JSON.parse(JSON.stringify(editor.saved));
+        }
+        window.levels = editor.saved.levels;
+        await switchLevel(window.currentLevelId);
+    } catch (error) {
+        console.error('Error reloading floor plan:', error);
     }
 }
 
+/**
+ * Turns edit mode on with a fresh copy of the building layout.
+ */
+async function enterEditor() {
+    editor.saved = await fetchLayout();
+    editor.draft = JSON.parse(JSON.stringify(editor.saved));
+    Object.assign(editor, { active: true, drawing: false, undo: [], redo: [], selectedRoomId: null });
+    document.getElementById('editorStatus').textContent = '';
+    initLevelSelector(editor.draft.levels);
+    renderEditor();
+}
+
+/**
+ * Turns edit mode off, dropping unsaved edits after confirmation, and redraws the saved layout.
+ * @returns {Promise<boolean>} False if the user chose to keep editing.
+ */
+async function exitEditor() {
+    if (layoutChanges().length && !window.confirm('Discard the unsaved floor plan changes?')) {
+        return false;
+    }
+    editor.active = false;
+    editor.draft = null;
+    initLevelSelector(window.levels);
+    if (!window.levels.some(level => level.id === window.currentLevelId)) {
+        currentLevelId = window.levels[0].id;
+    }
+    await switchLevel(currentLevelId);
+    renderEditor();
+    return true;
+}
+
+/**
+ * Initializes the floor plan editor. In edit mode rooms and access points can be dragged, rooms resized,
+ * drawn, renamed and deleted, and levels added. Edits stay local, with undo and redo, until saved through
+ * the layout endpoints.
+ * @param {D3Selection} canvas - The D3 selection of the SVG canvas.
+ */
+function initEditor(canvas) {
+    const button = document.getElementById('editButton');
+    const section = document.getElementById('editorSection');
+    const roomName = document.getElementById('editorRoomName');
+    const levelName = document.getElementById('editorLevelName');
+    const gridSelect = document.getElementById('editorGrid');
+    editor.grid = Number(gridSelect.value);
+
+    button.addEventListener('click', async () => {
+        try {
+            if (editor.active) {
+                if (!(await exitEditor())) return;
+            } else {
+                await enterEditor();
+            }
+            button.classList.toggle('active', editor.active);
+            section.hidden = !editor.active;
+        } catch (error) {
+            console.error('Error toggling the floor plan editor:', error);
+        }
+    });
+
+    // Clicking the empty map deselects the room
+    canvas.on('click.editor', event => {
+        if (!editor.active || event.defaultPrevented || event.target.closest('.editor-room, .editor-handle')) return;
+        editor.selectedRoomId = null;
+        renderEditor();
+    });
+
+    document.getElementById('editorDrawButton').addEventListener('click', () => {
+        editor.drawing = !editor.drawing;
+        renderEditor();
+    });
+    document.getElementById('editorUndoButton').addEventListener('click', undoEdit);
+    document.getElementById('editorRedoButton').addEventListener('click', redoEdit);
+    document.getElementById('editorSaveButton').addEventListener('click', saveLayout);
+
+    document.getElementById('editorDiscardButton').addEventListener('click', async () => {
+        const snapshot = snapshotLayout();
+        await restoreLayout(JSON.stringify(editor.saved));
+        editor.undo.push(snapshot);
+        editor.redo = [];
+        renderEditor();
+    });
+
+    gridSelect.addEventListener('change', () => {
+        editor.grid = Number(gridSelect.value);
+        renderEditor();
+    });
+
+    roomName.addEventListener('change', () => {
+        const room = editor.draft.rooms.find(r => r.id === editor.selectedRoomId);
+        const name = roomName.value.trim();
+        if (!room || !name) {
+            renderEditor();
+            return;
+        }
+        const snapshot = snapshotLayout();
+        room.name = name;
+        commitEdit(snapshot);
+    });
+
+    document.getElementById('editorDeleteRoomButton').addEventListener('click', () => {
+        const snapshot = snapshotLayout();
+        editor.draft.rooms = editor.draft.rooms.filter(r => r.id !== editor.selectedRoomId);
+        editor.selectedRoomId = null;
+        commitEdit(snapshot);
+    });
+
+    document.getElementById('editorAddLevelButton').addEventListener('click', async () => {
+        const name = levelName.value.trim();
+        if (!name) return;
+        const snapshot = snapshotLayout();
+        const level = {
+            id: nextId('L', editor.draft.levels, 3),
+            name,
+            floorNumber: Math.max(-1, ...editor.draft.levels.map(l => l.floorNumber)) + 1
+        };
+        editor.draft.levels.push(level);
+        levelName.value = '';
+        initLevelSelector(editor.draft.levels);
+        currentLevelId = level.id;
+        await switchLevel(level.id);
+        commitEdit(snapshot);
+    });
+
+    document.addEventListener('keydown', event => {
+        if (!editor.active || !(event.ctrlKey || event.metaKey) || event.target.matches('input, select')) return;
+        const key = event.key.toLowerCase();
+        if (key === 'z' || key === 'y') {
+            event.preventDefault();
+            (key === 'y' || event.shiftKey ? redoEdit : undoEdit)();
+        }
+    });
+}
+
+// Simulator Controls
+
+/**
+ * Fetches the state of the server-side walking simulator.
+ * @returns {Promise<Object>} Simulator state with running flag, speed multiplier and simulated devices.
+ */
+async function fetchSimulatorState() {
+    return d3.json(`${API_BASE}/simulator`);
+}
+
+/**
+ * Sends a command to the simulator and returns its new state.
+ * @param {string} path - Endpoint below /simulator, e.g. '/start', or '' for the speed update.
+ * @param {string} method - HTTP method of the request.
+ * @param {Object} body - JSON body to send.
+ * @returns {Promise<Object|null>} The simulator state, or null if the request was rejected.
+ */
+async function sendSimulatorCommand(path, method, body = {}) {
+    const response = await fetch(`${API_BASE}/simulator${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    if (!response.ok) {
+        console.error('Simulator request failed:', await response.text());
+        return null;
+    }
+    return response.json();
+}
+
+/**
+ * Reflects the simulator state in the header controls.
+ * @param {Object} state - Simulator state as returned by the server.
+ */
+function renderSimulatorState(state) {
+    const button = document.getElementById('simulatorButton');
+    button.textContent = state.running ? 'Stop simulation' : 'Start simulation';
+    button.classList.toggle('running', state.running);
+    document.getElementById('simulatorSpeed').value = String(state.speed);
+}
+
+/**
+ * Initializes the start/stop button and speed picker of the walking simulator.
+ * The simulated readings arrive through the live stream like any other.
+ */
+async function initSimulatorControls() {
+    const button = document.getElementById('simulatorButton');
+    const speedSelect = document.getElementById('simulatorSpeed');
+    let running = false;
+
+    const apply = state => {
+        if (!state) return;
+        running = state.running;
+        renderSimulatorState(state);
+    };
+
+    button.addEventListener('click', async () => {
+        try {
+            apply(running
+                ? await sendSimulatorCommand('/stop', 'POST')
+                : await sendSimulatorCommand('/start', 'POST', { speed: Number(speedSelect.value) }));
+        } catch (error) {
+            console.error('Error toggling simulator:', error);
+        }
+    });
+
+    speedSelect.addEventListener('change', async () => {
+        try {
+            apply(await sendSimulatorCommand('', 'PATCH', { speed: Number(speedSelect.value) }));
+        } catch (error) {
+            console.error('Error changing simulator speed:', error);
+        }
+    });
+
+    try {
+        apply(await fetchSimulatorState());
+    } catch (error) {
+        console.error('Error fetching simulator state:', error);
+    }
+}
+
+// Timeline Playback
+
+/**
+ * Finds the state of every device at a moment in the loaded timeline range:
+ * the latest reading of each device taken at or before that moment.
+ * @param {number} time - The moment as milliseconds since the epoch.
+ * @returns {Array} Array with one reading per device seen by then.
+ */
+function readingsAt(time) {
+    const latest = {};
+    for (const reading of timeline.readings) {
+        if (new Date(reading.date).getTime() > time) break;
+        latest[reading.id] = reading;
+    }
+    return Object.values(latest);
+}
+
+/**
+ * Updates the timeline controls and redraws the devices as of the timeline position.
+ * @param {number} duration - Optional length of the marker move transition in milliseconds.
+ */
+function renderTimeline(duration = 0) {
+    const slider = document.getElementById('timelineSlider');
+    const span = timeline.to - timeline.from;
+    slider.value = timeline.active && span > 0
+        ? Math.round((timeline.time - timeline.from) / span * Number(slider.max))
+        : slider.max;
+    document.getElementById('timelineTime').textContent = timeline.active
+        ? new Date(timeline.time).toLocaleString()
+        : 'Live';
+    document.getElementById('timelinePlay').textContent = timeline.playing ? 'Pause' : 'Play';
+    document.getElementById('timelineLive').disabled = !timeline.active;
+    refreshDeviceDisplay(document.getElementById('deviceSearch').value.toLowerCase(), duration);
+}
+
+/**
+ * Loads the readings of the range chosen in the date pickers and keeps the
+ * timeline position within it. An empty end means now and an empty start the
+ * hour before the end; the pickers are filled in with the range that was used.
+ * @returns {Promise<boolean>} Whether the range is valid and was loaded.
+ */
+async function loadTimelineRange() {
+    const fromInput = document.getElementById('timelineFrom');
+    const toInput = document.getElementById('timelineTo');
+    const to = toInput.value ? new Date(toInput.value) : new Date();
+    const from = fromInput.value ? new Date(fromInput.value) : new Date(to.getTime() - TIMELINE_WINDOW);
+    if (isNaN(from) || isNaN(to) || from >= to) return false;
+
+    fromInput.value = toDateTimeInputValue(from);
+    toInput.value = toDateTimeInputValue(to);
+
+    timeline.readings = await fetchReadingsBetween(from, to);
+    timeline.from = from.getTime();
+    timeline.to = to.getTime();
+    timeline.time = Math.min(Math.max(timeline.time ?? timeline.from, timeline.from), timeline.to);
+    return true;
+}
+
+/**
+ * Switches the map from live state to the timeline, loading the chosen range first.
+ * @returns {Promise<boolean>} Whether the timeline is active.
+ */
+async function enterTimeline() {
+    if (timeline.active) return true;
+    if (!await loadTimelineRange()) return false;
+    timeline.active = true;
+    return true;
+}
+
+/**
+ * Stops playback.
+ */
+function pauseTimeline() {
+    clearInterval(timeline.timer);
+    timeline.timer = null;
+    timeline.playing = false;
+    renderTimeline();
+}
+
+/**
+ * Starts playback from the timeline position, or from the start of the range when at its end.
+ * Each frame advances the position by the frame length times the chosen speed and
+ * animates the markers over the frame, so devices move smoothly between readings.
+ */
+async function playTimeline() {
+    if (!await enterTimeline()) return;
+    if (timeline.time >= timeline.to) timeline.time = timeline.from;
+
+    timeline.playing = true;
+    timeline.timer = setInterval(() => {
+        const speed = Number(document.getElementById('timelineSpeed').value);
+        timeline.time = Math.min(timeline.time + PLAYBACK_TICK * speed, timeline.to);
+        if (timeline.time >= timeline.to) {
+            pauseTimeline();
+            return;
+        }
+        renderTimeline(PLAYBACK_TICK);
+    }, PLAYBACK_TICK);
+    renderTimeline();
+}
+
+/**
+ * Leaves the timeline and shows the live device state again. The date pickers
+ * are cleared, so the next playback covers the hour up to that moment.
+ */
+function exitTimeline() {
+    clearInterval(timeline.timer);
+    timeline = { ...timeline, active: false, playing: false, timer: null, time: null, readings: [] };
+    document.getElementById('timelineFrom').value = '';
+    document.getElementById('timelineTo').value = '';
+    renderTimeline();
+}
+
+/**
+ * Initializes the timeline under the map: play/pause, speed, the position slider,
+ * the date range pickers and the button back to live.
+ */
+function initTimeline() {
+    const fromInput = document.getElementById('timelineFrom');
+    const toInput = document.getElementById('timelineTo');
+
+    document.getElementById('timelinePlay').addEventListener('click', async () => {
+        try {
+            if (timeline.playing) {
+                pauseTimeline();
+            } else {
+                await playTimeline();
+            }
+        } catch (error) {
+            console.error('Error starting playback:', error);
+        }
+    });
+
+    document.getElementById('timelineSlider').addEventListener('input', async event => {
+        try {
+            if (!await enterTimeline()) return;
+            const share = Number(event.target.value) / Number(event.target.max);
+            timeline.time = timeline.from + share * (timeline.to - timeline.from);
+            renderTimeline();
+        } catch (error) {
+            console.error('Error seeking timeline:', error);
+        }
+    });
+
+    [fromInput, toInput].forEach(input => input.addEventListener('change', async () => {
+        if (!timeline.active) return;
+        try {
+            if (await loadTimelineRange()) renderTimeline();
+        } catch (error) {
+            console.error('Error loading timeline range:', error);
+        }
+    }));
+
+    document.getElementById('timelineLive').addEventListener('click', exitTimeline);
+}
+
+// Initialization
+
+/**
+ * Refreshes the device plot visualization based on current level and search term.
+ * Uses the locally held device state, which the live stream keeps up to date,
+ * or the state at the timeline position while the timeline is active. Room head counts follow the same state.
+ * @param {string} searchTerm - Optional search term for highlighting specific devices.
+ * @param {number} duration - Optional length of the marker move transition in milliseconds.
+ */
+function refreshDeviceDisplay(searchTerm = '', duration = 0) {
+    const { innerWidth: width, innerHeight: height } = window;
+    const devices = timeline.active ? readingsAt(timeline.time) : Object.values(currentDevices);
+    const currentReads = filterReadingsByLevel(devices, window.currentLevelId);
+    updateRoomCounts(window.zoomGroup, currentReads, timeline.active ? timeline.time : Date.now());
+    drawTrails(window.zoomGroup);
+    updateDevicePlot(window.zoomGroup, currentReads, window.accessPoints, width - 200, height, window.rooms, searchTerm, duration);
+}
+
+// Live Updates
+
+/**
+ * Replaces the locally held device state with a freshly fetched set of latest readings.
+ * @param {Array} readings - Array with the latest reading of each device.
+ */
+function setCurrentDevices(readings) {
+    currentDevices = {};
+    readings.forEach(reading => {
+        currentDevices[reading.id] = reading;
+    });
+}
+
+/**
+ * Applies a single reading pushed by the server to the device state and updates
+ * the sidebar and device plot in place. Readings older than the one already held are ignored.
+ * @param {Object} reading - The device reading that was written on the server.
+ */
+function applyReading(reading) {
+    const known = currentDevices[reading.id];
+    if (known && new Date(known.date) > new Date(reading.date)) return;
+
+    currentDevices[reading.id] = reading;
+    extendTrail(reading);
+    updateSidebar(Object.values(currentDevices));
+    refreshDeviceDisplay(document.getElementById('deviceSearch').value.toLowerCase());
+}
+
+/**
+ * Subscribes to the server's event stream so new readings appear without reloading.
+ * After a dropped connection the full device state is fetched once, since events
+ * sent while disconnected are not replayed.
+ */
+function initLiveUpdates() {
+    const source = new EventSource(`${API_BASE}/stream`);
+    let disconnected = false;
+
+    source.addEventListener('reading', event => applyReading(JSON.parse(event.data)));
+    source.addEventListener('error', () => {
+        disconnected = true;
+    });
+    source.addEventListener('open', async () => {
+        if (!disconnected) return;
+        disconnected = false;
+        try {
+            setCurrentDevices(await fetchCurrentDevices());
+            updateSidebar(Object.values(currentDevices));
+            refreshDeviceDisplay(document.getElementById('deviceSearch').value.toLowerCase());
+        } catch (error) {
+            console.error('Error resynchronising devices:', error);
+        }
+    });
+}
+
 /**
  * Initializes the entire application on page load.
  * Sets up the visualization canvas, loads data from the API, initializes UI components,
@@ -559,10 +1859,9 @@ async function initApp() {
         const levels = await fetchLevels();
         currentLevelId = levels[0].id; // Default to first level
 
-        const [aps, allReads, reads, rooms] = await Promise.all([
+        const [aps, allReads, rooms] = await Promise.all([
             fetchAccessPoints(currentLevelId),
-            fetchDeviceReadings(),
-            fetchDeviceReadings(currentLevelId),
+            fetchCurrentDevices(),
             fetchRooms(currentLevelId)
         ]);
 
@@ -572,10 +1871,12 @@ async function initApp() {
         window.rooms = rooms;
         window.levels = levels;
         window.currentLevelId = currentLevelId;
-
-        const filteredReads = filterReadingsByLevel(reads, currentLevelId);
+        setCurrentDevices(allReads);
 
         initLevelSelector(levels);
+        initLevelMethodSelectors();
+        initFilteredToggle();
+        initHeatmapControls();
 
         const canvas = d3.select('#canvas')
             .attr('width', width - 200)
@@ -596,34 +1897,14 @@ async function initApp() {
         drawRooms(window.zoomGroup, rooms);
         drawAccessPoints(window.zoomGroup, aps);
         updateSidebar(allReads);
-        updateDevicePlot(window.zoomGroup, filteredReads, aps, width - 200, height, rooms);
-
-        document.getElementById('postButton').addEventListener('click', async () => {
-            try {
-                const randomLevel = window.levels[Math.floor(Math.random() * window.levels.length)];
-                const apsForLevel = await fetchAccessPoints(randomLevel.id);
-                const r = simulateDeviceReadings(apsForLevel, randomLevel.id);
-
-                await fetch(`${API_BASE}/device-readings`, {
-                    method: 'PUT',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(r)
-                });
-
-                const [allReadsUpdated, updatedReadsRaw] = await Promise.all([
-                    fetchDeviceReadings(),
-                    fetchDeviceReadings(currentLevelId)
-                ]);
-                const updatedReads = filterReadingsByLevel(updatedReadsRaw, currentLevelId);
-
-                updateDevicePlot(window.zoomGroup, updatedReads, window.accessPoints, width - 200, height, rooms);
-                updateSidebar(allReadsUpdated);
-            } catch (error) {
-                console.error('Error posting reading:', error);
-            }
-        });
+        refreshDeviceDisplay();
 
         initSidebarToggle();
+        initLiveUpdates();
+        initCalibration(canvas);
+        initEditor(canvas);
+        initSimulatorControls();
+        initTimeline();
 
         const searchResultEl = document.getElementById('searchResult');
         const searchInput = document.getElementById('deviceSearch');
@@ -636,12 +1917,11 @@ async function initApp() {
                         searchResultEl.classList.remove('show');
                         searchResultEl.innerHTML = '';
                     }
-                    await refreshDeviceDisplay();
+                    refreshDeviceDisplay();
                     return;
                 }
 
-                const allReads = await fetchDeviceReadings();
-                const allDevices = getLatestReadings(allReads);
+                const allDevices = Object.values(currentDevices);
                 const matchingDevice = allDevices.find(device =>
                     device.name.toLowerCase().includes(searchTerm) ||
                     device.id.toLowerCase().includes(searchTerm)
@@ -649,10 +1929,10 @@ async function initApp() {
 
                 if (matchingDevice) {
                     await switchLevel(matchingDevice.levelId);
-                    await refreshDeviceDisplay(searchTerm);
+                    refreshDeviceDisplay(searchTerm);
 
                     if (searchResultEl) {
-                        const pos = computeDevicePosition(window.accessPoints, matchingDevice.signals || [], window.rooms) || DEFAULT_POSITION;
+                        const pos = (showFiltered && matchingDevice.filtered) || matchingDevice.position || DEFAULT_POSITION;
                         const room = getRoomForPosition(pos.x, pos.y, window.rooms);
                         const levelName = (window.levels || []).find(l => l.id === matchingDevice.levelId)?.name || matchingDevice.levelId;
                         searchResultEl.innerHTML = `<strong>${matchingDevice.name}</strong> &mdash; Level: ${levelName}, Room: ${room}`;
@@ -663,7 +1943,7 @@ async function initApp() {
                         searchResultEl.classList.remove('show');
                         searchResultEl.innerHTML = '';
                     }
-                    await refreshDeviceDisplay(searchTerm);
+                    refreshDeviceDisplay(searchTerm);
                 }
             } catch (error) {
                 console.error('Error searching devices:', error);
@@ -0,0 +1,193 @@
+// Compares every positioning algorithm against readings with a known true
+// position. Usage:
+//
+//   npm run evaluate -- [--input samples.jsonl | --simulate rounds] [--level L001] [--csv errors.csv]
+//
+// Without --input or --simulate the stored readings that have a true position
+// (those recorded by the simulator) are used. The building layout, calibration
+// and reference points always come from the store (DB_FILE), which is only
+// read, never written.
+import fs from 'fs'
+import { parseArgs } from 'util'
+import { accessPoints, deviceReadings, levels, loadStore, rooms } from '../src/db.js'
+import { simulator as simulatorSettings } from '../src/config.js'
+import { locateReading } from '../src/positions.js'
+import { processSignals } from '../src/signals.js'
+import { Simulation } from '../src/simulation.js'
+import { fusePosition, TRACKING_METHODS } from '../src/tracking.js'
+import { POSITIONING_METHODS, detectLevel } from '../shared/positioning.js'
+
+const { values: options } = parseArgs({
+    options: {
+        input: { type: 'string' },
+        simulate: { type: 'string' },
+        seed: { type: 'string', default: simulatorSettings.seed },
+        level: { type: 'string' },
+        csv: { type: 'string' }
+    }
+})
+
+loadStore({ readOnly: true })
+
+// Each positioning method on its own, and fused by each tracker.
+const ALGORITHMS = POSITIONING_METHODS.flatMap(method => [
+    { name: method, method, tracking: null },
+    ...TRACKING_METHODS.map(tracking => ({ name: `${method} + ${tracking}`, method, tracking }))
+])
+
+// Samples may be a JSON array or one JSON object per line.
+function readSamples(file) {
+    const text = fs.readFileSync(file, 'utf8').trim()
+    return text.startsWith('[')
+        ? JSON.parse(text)
+        : text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+}
+
+// Rounds of the walking simulator, one simulated interval apart, starting
+// from a fixed date so the same seed gives the same samples.
+function simulateSamples(rounds) {
+    const simulation = new Simulation({ levels, rooms, accessPoints, ...simulatorSettings, seed: options.seed })
+    const start = Date.UTC(2025, 0, 1)
+    return Array.from({ length: rounds }, (_, i) =>
+        simulation.step(simulatorSettings.interval / 1000, new Date(start + i * simulatorSettings.interval))
+    ).flat()
+}
+
+function loadSamples() {
+    if (options.input) {
+        return { source: options.input, samples: readSamples(options.input) }
+    }
+    if (options.simulate) {
+        const rounds = Number(options.simulate)
+        if (!Number.isInteger(rounds) || rounds < 1) {
+            console.error('--simulate expects a positive number of rounds')
+            process.exit(1)
+        }
+        return { source: `simulation (seed ${options.seed}, ${rounds} rounds)`, samples: simulateSamples(rounds) }
+    }
+    return { source: 'stored readings', samples: deviceReadings.map(reading => reading.toRow()) }
+}
+
+// Readings as the server would see them on ingest: level inferred when not
+// reported, signals processed against the earlier samples of the dataset.
+function prepareSamples(samples) {
+    const prepared = samples
+        .filter(sample => sample.truePosition && Array.isArray(sample.signals) && !isNaN(new Date(sample.date)))
+        .filter(sample => !options.level || sample.truePosition.levelId === options.level)
+        .map(sample => ({
+            ...sample,
+            levelId: sample.levelId ?? detectLevel(sample.signals, accessPoints)?.levelId ?? null
+        }))
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+
+    prepared.forEach((sample, i) => {
+        sample.processedSignals = processSignals(sample, prepared.slice(0, i))
+    })
+    return prepared
+}
+
+// Estimates of one algorithm, in sample order. A position on the wrong level
+// counts as no estimate.
+function runAlgorithm(algorithm, samples) {
+    const tracks = new Map()
+    return samples.map(sample => {
+        let estimate = locateReading(sample, algorithm.method, algorithm.tracking !== 'particle')
+        if (estimate && algorithm.tracking) {
+            estimate = fusePosition(tracks, sample, estimate, algorithm.tracking)
+        }
+        if (!estimate || sample.levelId !== sample.truePosition.levelId) {
+            return { sample, estimate: null, error: null }
+        }
+        const error = Math.hypot(estimate.x - sample.truePosition.x, estimate.y - sample.truePosition.y)
+        return { sample, estimate, error }
+    })
+}
+
+function percentile(sorted, p) {
+    return sorted.length ? sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)] : NaN
+}
+
+function summarize(results) {
+    const errors = results.filter(r => r.error !== null).map(r => r.error).sort((a, b) => a - b)
+    const roomAccuracy = {}
+    new Set(results.map(r => r.sample.truePosition.levelId)).forEach(levelId => {
+        const onLevel = results.filter(r => r.sample.truePosition.levelId === levelId)
+        const correct = onLevel.filter(r => r.estimate && r.estimate.roomId === r.sample.truePosition.roomId)
+        roomAccuracy[levelId] = correct.length / onLevel.length
+    })
+    return {
+        located: errors.length / results.length,
+        mean: errors.reduce((sum, error) => sum + error, 0) / errors.length,
+        median: percentile(errors, 0.5),
+        p90: percentile(errors, 0.9),
+        roomAccuracy
+    }
+}
+
+function formatNumber(value) {
+    return Number.isFinite(value) ? value.toFixed(1) : '-'
+}
+
+function formatShare(value) {
+    return value === undefined ? '-' : `${(value * 100).toFixed(1)}%`
+}
+
+function printTable(header, rows) {
+    const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row[i].length)))
+    const line = cells => cells.map((cell, i) => (i ? cell.padStart(widths[i]) : cell.padEnd(widths[i]))).join('  ')
+    console.log(line(header))
+    rows.forEach(row => console.log(line(row)))
+}
+
+function csvValue(value) {
+    if (value === null || value === undefined) return ''
+    const text = typeof value === 'number' ? value.toFixed(2) : String(value)
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function writeCsv(file, runs) {
+    const header = [
+        'algorithm', 'deviceId', 'date', 'levelId', 'trueX', 'trueY', 'trueRoomId',
+        'estimatedX', 'estimatedY', 'estimatedRoomId', 'error'
+    ]
+    const rows = runs.flatMap(({ algorithm, results }) => results.map(({ sample, estimate, error }) => [
+        algorithm.name, sample.id, sample.date, sample.truePosition.levelId,
+        sample.truePosition.x, sample.truePosition.y, sample.truePosition.roomId,
+        estimate?.x, estimate?.y, estimate?.roomId, error
+    ]))
+    fs.writeFileSync(file, [header, ...rows].map(row => row.map(csvValue).join(',')).join('\n') + '\n')
+}
+
+const { source, samples: loaded } = loadSamples()
+const samples = prepareSamples(loaded)
+if (!samples.length) {
+    console.error(`No samples with a true position in ${source}`)
+    process.exit(1)
+}
+
+const runs = ALGORITHMS.map(algorithm => {
+    const results = runAlgorithm(algorithm, samples)
+    return { algorithm, results, summary: summarize(results) }
+})
+
+console.log(`Evaluated ${samples.length} samples from ${source}\n`)
+console.log('Position error (map units)')
+printTable(
+    ['algorithm', 'located', 'mean', 'median', 'p90'],
+    runs.map(({ algorithm, summary }) => [
+        algorithm.name, formatShare(summary.located),
+        formatNumber(summary.mean), formatNumber(summary.median), formatNumber(summary.p90)
+    ])
+)
+
+const levelIds = levels.map(level => level.id).filter(id => samples.some(s => s.truePosition.levelId === id))
+console.log('\nRoom-level accuracy')
+printTable(
+    ['algorithm', ...levelIds],
+    runs.map(({ algorithm, summary }) => [algorithm.name, ...levelIds.map(id => formatShare(summary.roomAccuracy[id]))])
+)
+
+if (options.csv) {
+    writeCsv(options.csv, runs)
+    console.log(`\nPer-sample errors written to ${options.csv}`)
+}
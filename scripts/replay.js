@@ -0,0 +1,90 @@
+// Exports recorded readings and plays them back through a running server.
+// Usage:
+//
+//   npm run replay -- export [--from date] [--to date] [--level L001] [--device DEV001] [--output file.jsonl]
+//   npm run replay -- play file.jsonl [--speed 10] [--original-dates]
+//
+// Both talk to the server at --url (default http://localhost:8383). Without
+// --output the export is written to stdout.
+import fs from 'fs'
+import { parseArgs } from 'util'
+
+const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        url: { type: 'string', default: `http://localhost:${process.env.PORT || 8383}` },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        level: { type: 'string' },
+        device: { type: 'string' },
+        output: { type: 'string' },
+        speed: { type: 'string', default: '1' },
+        'original-dates': { type: 'boolean', default: false }
+    }
+})
+
+const POLL_INTERVAL = 1000
+
+function fail(message) {
+    console.error(message)
+    process.exit(1)
+}
+
+async function request(path, init) {
+    const response = await fetch(`${options.url}${path}`, init)
+    if (!response.ok) {
+        fail(`${response.status}: ${await response.text()}`)
+    }
+    return response
+}
+
+async function exportReadings() {
+    const query = new URLSearchParams()
+    if (options.from) query.set('from', options.from)
+    if (options.to) query.set('to', options.to)
+    if (options.level) query.set('levelId', options.level)
+    if (options.device) query.set('deviceId', options.device)
+
+    const text = await (await request(`/device-readings/export?${query}`)).text()
+    if (options.output) {
+        fs.writeFileSync(options.output, text)
+        console.error(`${text.split('\n').filter(Boolean).length} readings written to ${options.output}`)
+    } else {
+        process.stdout.write(text)
+    }
+}
+
+async function playReadings(file) {
+    if (!file) {
+        fail('Usage: replay play <file.jsonl> [--speed n] [--original-dates]')
+    }
+    const query = new URLSearchParams({ speed: options.speed, dates: options['original-dates'] ? 'original' : 'shift' })
+    let state = await (await request(`/replay?${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-ndjson' },
+        body: fs.readFileSync(file, 'utf8')
+    })).json()
+
+    // Stopping the CLI stops the replay on the server as well
+    process.on('SIGINT', async () => {
+        await request('/replay', { method: 'DELETE' })
+        process.exit(130)
+    })
+
+    while (state.running) {
+        process.stderr.write(`\rReplayed ${state.played} of ${state.total}`)
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL))
+        state = await (await request('/replay')).json()
+    }
+    process.stderr.write(`\rReplayed ${state.played} of ${state.total}`)
+    console.error(state.skipped ? `, ${state.skipped} skipped` : '')
+}
+
+const [command, file] = positionals
+if (command === 'export') {
+    await exportReadings()
+} else if (command === 'play') {
+    await playReadings(file)
+} else {
+    fail('Usage: replay <export|play> [options]')
+}
@@ -0,0 +1,73 @@
+// Local stand-in for a webhook receiver: prints every delivery it gets and
+// checks its signature. Usage:
+//
+//   npm run webhook-receiver -- --secret s3cret [--port 9000] [--fail 2]
+//
+// Subscribe it with POST /webhooks and url http://localhost:9000/. --fail
+// answers the first n requests with a 500, to watch the server retry.
+// Requests whose signed timestamp is more than MAX_AGE seconds off are
+// rejected, as a replayed request would be.
+import crypto from 'crypto'
+import http from 'http'
+import { parseArgs } from 'util'
+
+const { values: options } = parseArgs({
+    options: {
+        port: { type: 'string', default: '9000' },
+        secret: { type: 'string' },
+        fail: { type: 'string', default: '0' }
+    }
+})
+
+if (!options.secret) {
+    console.error('Usage: webhook-receiver --secret <secret> [--port 9000] [--fail n]')
+    process.exit(1)
+}
+
+const MAX_AGE = 5 * 60
+
+let failuresLeft = Number(options.fail) || 0
+
+function isSigned(timestamp, body, signature) {
+    const expected = `sha256=${crypto.createHmac('sha256', options.secret).update(`${timestamp}.${body}`).digest('hex')}`
+    return typeof signature === 'string' && signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+}
+
+function isRecent(timestamp) {
+    return Math.abs(Date.now() / 1000 - Number(timestamp)) <= MAX_AGE
+}
+
+const server = http.createServer((req, res) => {
+    const chunks = []
+    req.on('data', chunk => chunks.push(chunk))
+    req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8')
+        const event = req.headers['x-webhook-event']
+        const delivery = req.headers['x-webhook-delivery']
+        const timestamp = req.headers['x-webhook-timestamp']
+
+        if (!isSigned(timestamp, body, req.headers['x-webhook-signature'])) {
+            console.log(`${delivery} ${event}: rejected, bad signature`)
+            res.writeHead(401).end()
+            return
+        }
+        if (!isRecent(timestamp)) {
+            console.log(`${delivery} ${event}: rejected, timestamp too old`)
+            res.writeHead(401).end()
+            return
+        }
+        if (failuresLeft > 0) {
+            failuresLeft--
+            console.log(`${delivery} ${event}: answered 500 on purpose`)
+            res.writeHead(500).end()
+            return
+        }
+        console.log(`${delivery} ${event}: ${JSON.stringify(JSON.parse(body).data)}`)
+        res.writeHead(204).end()
+    })
+})
+
+server.listen(Number(options.port), () => {
+    console.log(`Listening for webhooks on http://localhost:${options.port}/`)
+})
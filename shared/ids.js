@@ -0,0 +1,15 @@
+// Id generation shared by the server (src/) and the browser (public/).
+
+/**
+ * Generates the next id in a series such as L001 or ALR000012: the prefix followed by a zero-padded
+ * number one above the highest in use.
+ * @param {string} prefix - The letters every id of the series starts with.
+ * @param {Array} items - The items whose ids make up the series.
+ * @param {number} digits - The width the number is padded to.
+ * @param {number} issued - The highest number handed out before, even if no item has it any more.
+ * @returns {string} The next id of the series.
+ */
+export function nextId(prefix, items, digits = 6, issued = 0) {
+    const max = items.reduce((highest, item) => Math.max(highest, Number(item.id.slice(prefix.length)) || 0), issued);
+    return `${prefix}${String(max + 1).padStart(digits, '0')}`;
+}
@@ -0,0 +1,616 @@
+// Positioning engine shared by the server (src/) and the browser (public/).
+// Plain ES module without dependencies so it can be imported from both sides.
+
+export const DISTANCE_SCALE = 50;
+export const RSSI_TX_POWER = -45;
+export const PATH_LOSS_EXPONENT = 2.2;
+export const MISSING_RSSI = -100;
+export const POSITIONING_METHODS = ['trilateration', 'fingerprinting'];
+// Width of the doorway in the middle of a wall two rooms share; rooms sharing less wall than this are not connected.
+export const DOOR_WIDTH = DISTANCE_SCALE;
+// Largest gap, in map units, between two room edges that still counts as a shared wall.
+const WALL_TOLERANCE = 1;
+// Points this close to a room's outline count as inside it.
+const BOUNDARY_TOLERANCE = 1e-6;
+
+/**
+ * Converts RSSI (Received Signal Strength Indicator) to estimated distance.
+ * Uses the free space path loss model formula for wireless signal propagation.
+ * @param {number} rssi - The RSSI value in dBm.
+ * @param {number} tx - Transmit power in dBm (defaults to RSSI_TX_POWER constant).
+ * @param {number} n - Path loss exponent for the environment (defaults to PATH_LOSS_EXPONENT constant).
+ * @returns {number} Estimated distance in scaled units.
+ */
+export function rssiToDistance(rssi, tx = RSSI_TX_POWER, n = PATH_LOSS_EXPONENT) {
+    return Math.pow(10, (tx - rssi) / (10 * n)) * DISTANCE_SCALE;
+}
+
+/**
+ * Returns the outline of a room. Rooms are polygons; a room without one is the rectangle
+ * given by its x, y, width and height, which for polygon rooms hold the bounding box.
+ * @param {Object} room - Room object with an optional polygon.
+ * @returns {Array} Vertices as [[x, y], ...].
+ */
+export function roomPolygon(room) {
+    if (room.polygon) return room.polygon;
+    const { x, y, width, height } = room;
+    return [[x, y], [x + width, y], [x + width, y + height], [x, y + height]];
+}
+
+/**
+ * Finds the point on a line segment closest to a given point.
+ * @param {number} x - The x-coordinate of the point.
+ * @param {number} y - The y-coordinate of the point.
+ * @param {Array} a - Start of the segment as [x, y].
+ * @param {Array} b - End of the segment as [x, y].
+ * @returns {Object} The closest point as {x, y}.
+ */
+function closestPointOnSegment(x, y, [ax, ay], [bx, by]) {
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared ? Math.min(1, Math.max(0, ((x - ax) * dx + (y - ay) * dy) / lengthSquared)) : 0;
+    return { x: ax + t * dx, y: ay + t * dy };
+}
+
+/**
+ * Finds the point on the outline of a polygon closest to a given point.
+ * @param {number} x - The x-coordinate of the point.
+ * @param {number} y - The y-coordinate of the point.
+ * @param {Array} polygon - Vertices as [[x, y], ...].
+ * @returns {Object} The closest point as {x, y}.
+ */
+function closestPointOnPolygon(x, y, polygon) {
+    return polygon
+        .map((vertex, i) => closestPointOnSegment(x, y, vertex, polygon[(i + 1) % polygon.length]))
+        .reduce((best, p) => Math.hypot(p.x - x, p.y - y) < Math.hypot(best.x - x, best.y - y) ? p : best);
+}
+
+/**
+ * Tests whether a position lies inside a polygon or on its outline, unlike pointInPolygon, which
+ * leaves points on some of the edges out.
+ * @param {number} x - The x-coordinate to check.
+ * @param {number} y - The y-coordinate to check.
+ * @param {Array} polygon - Vertices as [[x, y], ...].
+ * @returns {boolean} True if the position is in the polygon.
+ */
+export function isInPolygon(x, y, polygon) {
+    if (pointInPolygon(x, y, polygon)) return true;
+    const edge = closestPointOnPolygon(x, y, polygon);
+    return Math.hypot(edge.x - x, edge.y - y) <= BOUNDARY_TOLERANCE;
+}
+
+/**
+ * Tests whether a position lies inside a room or on its walls.
+ * @param {number} x - The x-coordinate to check.
+ * @param {number} y - The y-coordinate to check.
+ * @param {Object} room - Room object, a rectangle or a polygon.
+ * @returns {boolean} True if the position is in the room.
+ */
+export function isInRoom(x, y, room) {
+    if (!room.polygon) {
+        return x >= room.x && x <= room.x + room.width && y >= room.y && y <= room.y + room.height;
+    }
+    return isInPolygon(x, y, room.polygon);
+}
+
+/**
+ * Finds the room that contains a given coordinate position.
+ * @param {number} x - The x-coordinate to check.
+ * @param {number} y - The y-coordinate to check.
+ * @param {Array} rooms - Array of room objects containing boundary information.
+ * @returns {Object|null} The room containing the position, or null if no match.
+ */
+export function findRoomAt(x, y, rooms) {
+    return rooms.find(room => isInRoom(x, y, room)) || null;
+}
+
+/**
+ * Tests whether a point lies inside a polygon, by counting how often a ray from the point crosses its edges.
+ * @param {number} x - The x-coordinate to check.
+ * @param {number} y - The y-coordinate to check.
+ * @param {Array} polygon - Vertices as [[x, y], ...]; the closing edge back to the first vertex is implied.
+ * @returns {boolean} True if the point is inside the polygon.
+ */
+export function pointInPolygon(x, y, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, yi] = polygon[i];
+        const [xj, yj] = polygon[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Checks that a value is a polygon: at least three vertices, each an [x, y] pair of finite numbers.
+ * @param {*} value - The value to check, e.g. from a request body.
+ * @returns {boolean} True if the value can be used as a polygon.
+ */
+export function isPolygon(value) {
+    return Array.isArray(value) && value.length >= 3 &&
+        value.every(point => Array.isArray(point) && point.length === 2 && point.every(Number.isFinite));
+}
+
+/**
+ * Moves a position to the nearest point inside any of the given rooms.
+ * Positions already inside a room, or levels without rooms, are returned unchanged.
+ * @param {number} x - The x-coordinate to snap.
+ * @param {number} y - The y-coordinate to snap.
+ * @param {Array} rooms - Array of room objects containing boundary information.
+ * @returns {Object} The snapped position as {x, y}.
+ */
+export function snapToRooms(x, y, rooms) {
+    if (!rooms.length || findRoomAt(x, y, rooms)) return { x, y };
+
+    return rooms
+        .map(room => room.polygon ? closestPointOnPolygon(x, y, room.polygon) : {
+            x: Math.min(Math.max(x, room.x), room.x + room.width),
+            y: Math.min(Math.max(y, room.y), room.y + room.height)
+        })
+        .reduce((best, p) => Math.hypot(p.x - x, p.y - y) < Math.hypot(best.x - x, best.y - y) ? p : best);
+}
+
+/**
+ * Finds the overlap of two line segments that lie on the same line, within WALL_TOLERANCE.
+ * @param {Array} p1 - Start of the first segment as [x, y].
+ * @param {Array} p2 - End of the first segment as [x, y].
+ * @param {Array} q1 - Start of the second segment as [x, y].
+ * @param {Array} q2 - End of the second segment as [x, y].
+ * @returns {Object|null} Midpoint and length of the overlap as {x, y, length}, or null if they do not overlap.
+ */
+function segmentOverlap(p1, p2, q1, q2) {
+    const dx = p2[0] - p1[0];
+    const dy = p2[1] - p1[1];
+    const length = Math.hypot(dx, dy);
+    if (!length) return null;
+
+    const offset = ([x, y]) => Math.abs((x - p1[0]) * dy - (y - p1[1]) * dx) / length;
+    if (offset(q1) > WALL_TOLERANCE || offset(q2) > WALL_TOLERANCE) return null;
+
+    const along = ([x, y]) => ((x - p1[0]) * dx + (y - p1[1]) * dy) / length;
+    const low = Math.max(0, Math.min(along(q1), along(q2)));
+    const high = Math.min(length, Math.max(along(q1), along(q2)));
+    if (high <= low) return null;
+
+    const middle = (low + high) / 2 / length;
+    return { x: p1[0] + dx * middle, y: p1[1] + dy * middle, length: high - low };
+}
+
+/**
+ * Finds the wall two rooms share, e.g. to place a doorway between them.
+ * @param {Object} a - First room object.
+ * @param {Object} b - Second room object.
+ * @returns {Object|null} Midpoint and length of the longest shared stretch of wall as {x, y, length},
+ * or null if the rooms do not touch along a wall.
+ */
+export function sharedWall(a, b) {
+    const edgesOf = room => roomPolygon(room).map((vertex, i, polygon) => [vertex, polygon[(i + 1) % polygon.length]]);
+    const edgesB = edgesOf(b);
+    let longest = null;
+    edgesOf(a).forEach(([p1, p2]) => {
+        edgesB.forEach(([q1, q2]) => {
+            const overlap = segmentOverlap(p1, p2, q1, q2);
+            if (overlap && (!longest || overlap.length > longest.length)) {
+                longest = overlap;
+            }
+        });
+    });
+    return longest;
+}
+
+/**
+ * Lists the pairs of rooms that share a wall, as the graph to route devices between rooms on.
+ * @param {Array} rooms - Array of room objects, usually those of one level.
+ * @param {number} minLength - Shortest shared wall that connects two rooms, e.g. the width of a doorway.
+ * @returns {Array} One entry per connected pair as {from, to, x, y, length}, with the room IDs and the middle of their shared wall.
+ */
+export function roomAdjacency(rooms, minLength = 0) {
+    const pairs = [];
+    rooms.forEach((a, i) => {
+        rooms.slice(i + 1).forEach(b => {
+            const wall = sharedWall(a, b);
+            if (wall && wall.length >= minLength) {
+                pairs.push({ from: a.id, to: b.id, ...wall });
+            }
+        });
+    });
+    return pairs;
+}
+
+/**
+ * Determines which room a given coordinate position falls within.
+ * @param {number} x - The x-coordinate to check.
+ * @param {number} y - The y-coordinate to check.
+ * @param {Array} rooms - Array of room objects containing boundary information.
+ * @returns {string} The name of the room containing the position, or "Outside" if no match.
+ */
+export function getRoomForPosition(x, y, rooms) {
+    return findRoomAt(x, y, rooms)?.name || "Outside";
+}
+
+/**
+ * Calculates device position using trilateration from three reference points.
+ * Uses the least squares method to find the intersection point of three circles.
+ * @param {Object} p1 - First reference point with properties {x, y, d} where d is distance.
+ * @param {Object} p2 - Second reference point with properties {x, y, d}.
+ * @param {Object} p3 - Third reference point with properties {x, y, d}.
+ * @returns {Object|null} Calculated position as {x, y}, or null if triangulation fails.
+ */
+export function trilaterate(p1, p2, p3) {
+    const { x: xa, y: ya, d: ra } = p1;
+    const { x: xb, y: yb, d: rb } = p2;
+    const { x: xc, y: yc, d: rc } = p3;
+
+    const A = 2 * (xa - xb);
+    const B = 2 * (ya - yb);
+    const C = rb * rb - ra * ra - xb * xb + xa * xa - yb * yb + ya * ya;
+    const D = 2 * (xa - xc);
+    const E = 2 * (ya - yc);
+    const F = rc * rc - ra * ra - xc * xc + xa * xa - yc * yc + ya * ya;
+
+    const denom = A * E - B * D;
+    if (Math.abs(denom) < 1e-6) return null;
+
+    return {
+        x: (C * E - B * F) / denom,
+        y: (A * F - C * D) / denom
+    };
+}
+
+/**
+ * Solves the symmetric 2x2 linear system [a11 a12; a12 a22] * [u, v] = [b1, b2].
+ * @returns {Object|null} Solution as {u, v}, or null if the system is (nearly) singular.
+ */
+function solveSymmetric2x2(a11, a12, a22, b1, b2) {
+    const det = a11 * a22 - a12 * a12;
+    if (Math.abs(det) < 1e-9 * Math.max(1, a11 * a22)) return null;
+    return {
+        u: (b1 * a22 - a12 * b2) / det,
+        v: (a11 * b2 - a12 * b1) / det
+    };
+}
+
+/**
+ * Weight of a reference point in the least-squares fit. RSSI noise in dB turns into a distance
+ * error proportional to the distance itself, so near (strong) access points are weighted by 1/d².
+ * @param {Object} p - Reference point with properties {x, y, d}.
+ * @returns {number} Weight of the point.
+ */
+function pointWeight(p) {
+    return 1 / Math.max(p.d * p.d, 1);
+}
+
+/**
+ * Closed-form starting estimate for multilateration. Subtracts the circle equation of the nearest
+ * access point from all others, which leaves a linear system solved by weighted least squares.
+ * @param {Array} points - Reference points as {x, y, d}, at least three.
+ * @returns {Object|null} Position as {x, y}, or null if the access points are collinear.
+ */
+function linearLeastSquares(points) {
+    const [ref, ...rest] = points.slice().sort((a, b) => a.d - b.d);
+    let a11 = 0, a12 = 0, a22 = 0, b1 = 0, b2 = 0;
+    rest.forEach(p => {
+        const w = pointWeight(p);
+        const ax = 2 * (p.x - ref.x);
+        const ay = 2 * (p.y - ref.y);
+        const b = ref.d * ref.d - p.d * p.d + p.x * p.x - ref.x * ref.x + p.y * p.y - ref.y * ref.y;
+        a11 += w * ax * ax;
+        a12 += w * ax * ay;
+        a22 += w * ay * ay;
+        b1 += w * ax * b;
+        b2 += w * ay * b;
+    });
+    const solution = solveSymmetric2x2(a11, a12, a22, b1, b2);
+    return solution && { x: solution.u, y: solution.v };
+}
+
+/**
+ * Calculates device position from any number of reference points using weighted least squares.
+ * Starts from a linearised estimate and refines it with Gauss-Newton iterations that minimise the
+ * weighted squared difference between the distance to each access point and its measured distance.
+ * With exactly three points this is plain trilateration.
+ * @param {Array} points - Reference points as {x, y, d} where d is the distance derived from RSSI.
+ * @param {Object} options - Optional solver settings: maxIterations (default 20) and tolerance (default 0.01).
+ * @returns {Object|null} Calculated position as {x, y}, or null if the points do not determine a position.
+ */
+export function multilaterate(points, { maxIterations = 20, tolerance = 0.01 } = {}) {
+    if (points.length < 3) return null;
+    if (points.length === 3) return trilaterate(points[0], points[1], points[2]);
+
+    let pos = linearLeastSquares(points);
+    if (!pos) return null;
+
+    for (let i = 0; i < maxIterations; i++) {
+        let a11 = 0, a12 = 0, a22 = 0, b1 = 0, b2 = 0;
+        points.forEach(p => {
+            const range = Math.hypot(pos.x - p.x, pos.y - p.y);
+            if (range < 1e-6) return; // Gradient is undefined on top of an access point
+            const w = pointWeight(p);
+            const jx = (pos.x - p.x) / range;
+            const jy = (pos.y - p.y) / range;
+            const residual = p.d - range;
+            a11 += w * jx * jx;
+            a12 += w * jx * jy;
+            a22 += w * jy * jy;
+            b1 += w * jx * residual;
+            b2 += w * jy * residual;
+        });
+
+        const step = solveSymmetric2x2(a11, a12, a22, b1, b2);
+        if (!step) break;
+        pos = { x: pos.x + step.u, y: pos.y + step.v };
+        if (Math.hypot(step.u, step.v) < tolerance) break;
+    }
+
+    return pos;
+}
+
+/**
+ * RANSAC-style consensus check over reference points. Every combination of three points is
+ * trilaterated and the other points are tested against the result; the largest set of points whose
+ * measured distance agrees with their distance to the position is returned. The check is on the
+ * ratio of the two, since RSSI noise scales distances multiplicatively.
+ * With fewer than four points, or no consensus of at least three, all points are kept.
+ * @param {Array} points - Reference points as {x, y, d}.
+ * @param {number} tolerance - Allowed mismatch as a fraction; 0.5 (the default) accepts a ratio up to 1.5 either way.
+ * @returns {Array} The consistent subset of the points, in their original order.
+ */
+export function rejectOutliers(points, tolerance = 0.5) {
+    if (points.length < 4) return points;
+
+    let best = null;
+    for (let i = 0; i < points.length - 2; i++) {
+        for (let j = i + 1; j < points.length - 1; j++) {
+            for (let k = j + 1; k < points.length; k++) {
+                const pos = trilaterate(points[i], points[j], points[k]);
+                if (!pos) continue;
+
+                let residualSum = 0;
+                const inliers = points.filter(p => {
+                    const residual = Math.abs(Math.log(Math.hypot(pos.x - p.x, pos.y - p.y) / p.d));
+                    if (!(residual <= Math.log(1 + tolerance))) return false;
+                    residualSum += residual;
+                    return true;
+                });
+                if (!best || inliers.length > best.inliers.length ||
+                    (inliers.length === best.inliers.length && residualSum < best.residualSum)) {
+                    best = { inliers, residualSum };
+                }
+            }
+        }
+    }
+
+    return best && best.inliers.length >= 3 ? best.inliers : points;
+}
+
+/**
+ * Pairs each signal with its access point and converts the RSSI to a distance.
+ * Uses the access point's own txPower and pathLossExponent where set, the global constants otherwise.
+ * Signals from access points that are not in the given list are dropped.
+ * @param {Array} accessPoints - Array of access point objects with location and optional calibration data.
+ * @param {Array} signals - Array of signal readings as {apId, rssi}.
+ * @returns {Array} Reference points as {x, y, d}.
+ */
+export function signalsToPoints(accessPoints, signals) {
+    return signals
+        .filter(s => accessPoints.find(ap => ap.id === s.apId))
+        .map(s => {
+            const ap = accessPoints.find(a => a.id === s.apId);
+            const tx = ap.txPower ?? RSSI_TX_POWER;
+            const n = ap.pathLossExponent ?? PATH_LOSS_EXPONENT;
+            return { x: ap.x, y: ap.y, d: rssiToDistance(s.rssi, tx, n) };
+        });
+}
+
+/**
+ * Estimates the covariance of a position from the residuals of the weighted least-squares fit.
+ * The residual variance is scaled by the inverse of the normal matrix (J^T W J) at the solution,
+ * so inconsistent distances and poor access point geometry both widen the result.
+ * @param {Object} pos - Estimated position as {x, y}.
+ * @param {Array} points - Reference points as {x, y, d} used for the estimate.
+ * @returns {Object|null} Covariance as {xx, xy, yy} in squared map units, or null if it is undefined.
+ */
+export function positionCovariance(pos, points) {
+    let a11 = 0, a12 = 0, a22 = 0, weightedSquares = 0;
+    points.forEach(p => {
+        const range = Math.hypot(pos.x - p.x, pos.y - p.y);
+        if (range < 1e-6) return;
+        const w = pointWeight(p);
+        const jx = (pos.x - p.x) / range;
+        const jy = (pos.y - p.y) / range;
+        a11 += w * jx * jx;
+        a12 += w * jx * jy;
+        a22 += w * jy * jy;
+        weightedSquares += w * (p.d - range) * (p.d - range);
+    });
+
+    const det = a11 * a22 - a12 * a12;
+    if (Math.abs(det) < 1e-12) return null;
+
+    // Two unknowns, so the residual variance has n - 2 degrees of freedom
+    const variance = weightedSquares / Math.max(points.length - 2, 1);
+    return {
+        xx: variance * a22 / det,
+        xy: -variance * a12 / det,
+        yy: variance * a11 / det
+    };
+}
+
+/**
+ * Converts a position covariance into an error ellipse for drawing.
+ * @param {Object} covariance - Covariance as {xx, xy, yy}.
+ * @param {number} scale - Number of standard deviations covered; the default of 2.4477 is a 95% region.
+ * @returns {Object} Ellipse as {rx, ry, angle} with radii in map units and angle of the rx axis in degrees.
+ */
+export function errorEllipse(covariance, scale = 2.4477) {
+    const { xx, xy, yy } = covariance;
+    const mean = (xx + yy) / 2;
+    const spread = Math.sqrt(((xx - yy) / 2) ** 2 + xy * xy);
+    return {
+        rx: scale * Math.sqrt(Math.max(mean + spread, 0)),
+        ry: scale * Math.sqrt(Math.max(mean - spread, 0)),
+        angle: Math.atan2(2 * xy, xx - yy) / 2 * 180 / Math.PI
+    };
+}
+
+/**
+ * Estimates the position of a device by multilateration over every signal from a known access point,
+ * without checking the result against the room layout.
+ * @param {Array} accessPoints - Array of access point objects with location data.
+ * @param {Array} signals - Array of signal readings from the device to different access points.
+ * @returns {Object|null} Estimated device position as {x, y, covariance}, or null if fewer than three signals are usable.
+ */
+export function estimateDevicePosition(accessPoints, signals) {
+    if (signals.length < 3) return null;
+
+    // Filter signals to only those with access points in the current level
+    const points = signalsToPoints(accessPoints, signals);
+    if (points.length < 3) return null;
+
+    const pos = multilaterate(points);
+    if (!pos) return null;
+
+    return { ...pos, covariance: positionCovariance(pos, points) };
+}
+
+/**
+ * Computes the final position of a device based on signal readings from multiple access points.
+ * Filters signals for validity and applies multilateration over every remaining signal.
+ * @param {Array} accessPoints - Array of access point objects with location data.
+ * @param {Array} signals - Array of signal readings from the device to different access points.
+ * @param {Array} rooms - Array of room objects for position validation.
+ * @returns {Object|null} Computed device position as {x, y, covariance}, or null if position is invalid or outside rooms.
+ */
+export function computeDevicePosition(accessPoints, signals, rooms) {
+    const pos = estimateDevicePosition(accessPoints, signals);
+    if (!pos) return null;
+
+    // Check if the position is inside any room
+    if (getRoomForPosition(pos.x, pos.y, rooms) === "Outside") {
+        return null; // Hide device if position is outside all rooms
+    }
+
+    return pos;
+}
+
+/**
+ * Infers which level a device is on from the access points it heard.
+ * Every signal scores for the level of its access point by how far it is above MISSING_RSSI,
+ * so both the number of access points heard on a level and their strength count.
+ * @param {Array} signals - Array of signal readings as {apId, rssi}.
+ * @param {Array} accessPoints - Access points of all levels.
+ * @returns {Object|null} Best level as {levelId, confidence} where confidence is its share of the
+ * total score, or null if none of the signals come from a known access point.
+ */
+export function detectLevel(signals, accessPoints) {
+    const scores = {};
+    signals.forEach(s => {
+        const ap = accessPoints.find(a => a.id === s.apId);
+        if (!ap) return;
+        scores[ap.levelId] = (scores[ap.levelId] || 0) + Math.max(s.rssi - MISSING_RSSI, 0);
+    });
+
+    const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    if (!ranked.length) return null;
+
+    const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+    return {
+        levelId: ranked[0][0],
+        confidence: total > 0 ? ranked[0][1] / total : 1 / ranked.length
+    };
+}
+
+/**
+ * Estimates device position by Wi-Fi fingerprinting: weighted k-nearest-neighbours matching of the
+ * measured RSSI vector against a radio map of survey measurements taken at known positions.
+ * Signal vectors are compared by Euclidean distance in dBm, with access points heard on only one
+ * side counted at MISSING_RSSI. Neighbours are weighted by the inverse of that distance.
+ * @param {Array} signals - Array of signal readings as {apId, rssi}.
+ * @param {Array} radioMap - Survey fingerprints as {x, y, signals}.
+ * @param {Object} options - Optional matcher settings: k (default 3) and missingRssi (default MISSING_RSSI).
+ * @returns {Object|null} Position as {x, y, covariance}, or null if the radio map is empty.
+ */
+export function fingerprintPosition(signals, radioMap, { k = 3, missingRssi = MISSING_RSSI } = {}) {
+    if (!signals.length || !radioMap.length) return null;
+
+    const measured = new Map(signals.map(s => [s.apId, s.rssi]));
+    const neighbours = radioMap
+        .map(fingerprint => {
+            const surveyed = new Map(fingerprint.signals.map(s => [s.apId, s.rssi]));
+            let sumSquares = 0;
+            new Set([...measured.keys(), ...surveyed.keys()]).forEach(apId => {
+                const diff = (measured.get(apId) ?? missingRssi) - (surveyed.get(apId) ?? missingRssi);
+                sumSquares += diff * diff;
+            });
+            return { x: fingerprint.x, y: fingerprint.y, weight: 1 / (Math.sqrt(sumSquares) + 1e-3) };
+        })
+        .sort((a, b) => b.weight - a.weight)
+        .slice(0, k);
+
+    const total = neighbours.reduce((sum, n) => sum + n.weight, 0);
+    const x = neighbours.reduce((sum, n) => sum + n.weight * n.x, 0) / total;
+    const y = neighbours.reduce((sum, n) => sum + n.weight * n.y, 0) / total;
+
+    // Spread of the matched survey points stands in for the position uncertainty
+    const covariance = neighbours.reduce((cov, n) => ({
+        xx: cov.xx + n.weight * (n.x - x) * (n.x - x) / total,
+        xy: cov.xy + n.weight * (n.x - x) * (n.y - y) / total,
+        yy: cov.yy + n.weight * (n.y - y) * (n.y - y) / total
+    }), { xx: 0, xy: 0, yy: 0 });
+
+    return { x, y, covariance };
+}
+
+/**
+ * Scores how well a position agrees with the measured distances, from 0 (no agreement) to 1 (exact fit).
+ * Based on the root mean square difference between the distance from the position to each
+ * access point and the distance implied by its RSSI, relative to DISTANCE_SCALE.
+ * @param {Object} pos - Estimated position as {x, y}.
+ * @param {Array} points - Reference points as {x, y, d}.
+ * @returns {number} Confidence value between 0 and 1.
+ */
+export function positionConfidence(pos, points) {
+    const sumSquares = points.reduce((sum, p) => {
+        const residual = Math.hypot(pos.x - p.x, pos.y - p.y) - p.d;
+        return sum + residual * residual;
+    }, 0);
+    const rms = Math.sqrt(sumSquares / points.length);
+    return 1 / (1 + rms / DISTANCE_SCALE);
+}
+
+/**
+ * Locates a device and describes the result: coordinates, containing room and a confidence value.
+ * Trilateration confidence comes from the distance residuals; fingerprinting confidence from the
+ * spread of the matched survey points, both relative to DISTANCE_SCALE.
+ * @param {Array} accessPoints - Access points of the level the reading belongs to.
+ * @param {Array} signals - Array of signal readings from the device.
+ * @param {Array} rooms - Rooms of the same level.
+ * @param {Object} options - Optional method ('trilateration' or 'fingerprinting'), radioMap for fingerprinting,
+ * and requireRoom (default true); when false, positions outside every room are kept with a null roomId.
+ * @returns {Object|null} Location as {x, y, covariance, roomId, confidence, method}, or null if the device cannot be placed.
+ */
+export function locateDevice(accessPoints, signals, rooms, { method = 'trilateration', radioMap = [], requireRoom = true } = {}) {
+    let pos;
+    let confidence;
+    if (method === 'fingerprinting') {
+        pos = fingerprintPosition(signals, radioMap);
+        if (!pos || (requireRoom && !findRoomAt(pos.x, pos.y, rooms))) return null;
+        confidence = 1 / (1 + Math.sqrt((pos.covariance.xx + pos.covariance.yy) / 2) / DISTANCE_SCALE);
+    } else {
+        pos = requireRoom ? computeDevicePosition(accessPoints, signals, rooms) : estimateDevicePosition(accessPoints, signals);
+        if (!pos) return null;
+        confidence = positionConfidence(pos, signalsToPoints(accessPoints, signals));
+    }
+
+    return {
+        x: pos.x,
+        y: pos.y,
+        covariance: pos.covariance,
+        roomId: findRoomAt(pos.x, pos.y, rooms)?.id ?? null,
+        confidence,
+        method
+    };
+}
@@ -0,0 +1,93 @@
+import { deviceReadings, rooms } from './db.js'
+import { roomIdOf } from './positions.js'
+
+// A device unseen for this long no longer counts as present, and a visit it
+// was on ends at its last reading.
+export const PRESENCE_TIMEOUT_SECONDS = 300
+
+// Splits every device's history into room visits: runs of consecutive
+// readings in the same room. A visit ends at the first reading elsewhere, or
+// at its last reading if the device then went unseen for too long; visits
+// still in progress have no end.
+function collectVisits(now) {
+    const byDevice = new Map()
+    deviceReadings.forEach(reading => {
+        if (!byDevice.has(reading.id)) byDevice.set(reading.id, [])
+        byDevice.get(reading.id).push(reading)
+    })
+
+    const visits = []
+    byDevice.forEach(history => {
+        history.sort((a, b) => new Date(a.date) - new Date(b.date))
+        let visit = null
+        history.forEach(reading => {
+            const date = new Date(reading.date)
+            const roomId = roomIdOf(reading)
+            if (visit && (date - visit.lastSeen) / 1000 > PRESENCE_TIMEOUT_SECONDS) {
+                visit.end = visit.lastSeen
+                visit = null
+            }
+            if (visit && visit.roomId !== roomId) {
+                visit.end = date
+                visit = null
+            }
+            if (!visit && roomId) {
+                visit = { deviceId: reading.id, name: reading.name, roomId, start: date, lastSeen: date, end: null }
+                visits.push(visit)
+            }
+            if (visit) {
+                visit.lastSeen = date
+            }
+        })
+        if (visit && (now - visit.lastSeen) / 1000 > PRESENCE_TIMEOUT_SECONDS) {
+            visit.end = visit.lastSeen
+        }
+    })
+    return visits
+}
+
+function within(date, { from, to }) {
+    return (!from || date >= from) && (!to || date <= to)
+}
+
+// Occupancy of one room: who is in it now, how many visits began and ended
+// in the window, and the average length of the visits that ended in it.
+function summarizeRoom(room, visits, range) {
+    const roomVisits = visits.filter(visit => visit.roomId === room.id)
+    const completed = roomVisits.filter(visit => visit.end && within(visit.end, range))
+    const durations = completed.map(visit => (visit.end - visit.start) / 1000)
+    const occupants = roomVisits
+        .filter(visit => !visit.end)
+        .map(visit => ({ deviceId: visit.deviceId, name: visit.name, since: visit.start.toISOString() }))
+
+    return {
+        roomId: room.id,
+        name: room.name,
+        levelId: room.levelId,
+        current: occupants.length,
+        occupants,
+        entries: roomVisits.filter(visit => within(visit.start, range)).length,
+        exits: completed.length,
+        averageDwellSeconds: durations.length
+            ? durations.reduce((sum, seconds) => sum + seconds, 0) / durations.length
+            : null
+    }
+}
+
+// Occupancy analytics for the given rooms over a time window; `to` defaults
+// to now and an open `from` covers all stored history.
+export function getOccupancy(roomList, { from, to } = {}) {
+    const now = new Date()
+    const range = { from, to: to || now }
+    const visits = collectVisits(now)
+    return roomList.map(room => ({
+        ...summarizeRoom(room, visits, range),
+        from: from ? from.toISOString() : null,
+        to: range.to.toISOString()
+    }))
+}
+
+export function getRoomOccupancy(roomId, range) {
+    const room = rooms.find(r => r.id === roomId)
+    return room ? getOccupancy([room], range)[0] : null
+}
@@ -0,0 +1,105 @@
+import { accessPoints, nextId, referencePoints, ReferencePoint, save } from './db.js'
+import { DISTANCE_SCALE, PATH_LOSS_EXPONENT, RSSI_TX_POWER, multilaterate, signalsToPoints } from '../shared/positioning.js'
+
+// Fitted exponents outside this range are physically implausible indoors and
+// usually mean the reference points are too close together to tell.
+const MIN_EXPONENT = 1.5
+const MAX_EXPONENT = 6
+
+export function addReferencePoint({ levelId, x, y, signals, date, deviceId }) {
+    const point = new ReferencePoint(nextId('REF', referencePoints), levelId, x, y, signals, date || new Date().toISOString(), deviceId || null)
+    referencePoints.push(point)
+    save()
+    return point
+}
+
+export function removeReferencePoint(id) {
+    const index = referencePoints.findIndex(point => point.id === id)
+    if (index === -1) {
+        return false
+    }
+    referencePoints.splice(index, 1)
+    save()
+    return true
+}
+
+// Fits the log-distance model rssi = txPower - 10 * n * log10(d / DISTANCE_SCALE)
+// by ordinary least squares over the samples of one AP. With too little spread
+// in distance to determine the slope, only txPower is fitted and n is kept.
+function fitPathLoss(samples, currentExponent) {
+    const points = samples.map(({ rssi, distance }) => ({ u: -10 * Math.log10(distance / DISTANCE_SCALE), rssi }))
+    const meanU = points.reduce((sum, p) => sum + p.u, 0) / points.length
+    const meanRssi = points.reduce((sum, p) => sum + p.rssi, 0) / points.length
+    const varU = points.reduce((sum, p) => sum + (p.u - meanU) ** 2, 0)
+
+    let exponent = currentExponent
+    if (points.length >= 2 && varU > 1e-6) {
+        const covariance = points.reduce((sum, p) => sum + (p.u - meanU) * (p.rssi - meanRssi), 0)
+        exponent = Math.min(Math.max(covariance / varU, MIN_EXPONENT), MAX_EXPONENT)
+    }
+    return {
+        txPower: Math.round((meanRssi - exponent * meanU) * 10) / 10,
+        pathLossExponent: Math.round(exponent * 100) / 100
+    }
+}
+
+// Mean distance between where each reference point really was and where the
+// given access point calibration places it.
+function positioningError(levelAccessPoints, points) {
+    const errors = points
+        .map(point => {
+            const pos = multilaterate(signalsToPoints(levelAccessPoints, point.signals))
+            return pos && Math.hypot(pos.x - point.x, pos.y - point.y)
+        })
+        .filter(error => error !== null)
+    return {
+        meanError: errors.length ? errors.reduce((sum, e) => sum + e, 0) / errors.length : null,
+        samples: errors.length
+    }
+}
+
+// Solves for txPower and pathLossExponent of every AP on a level from its
+// reference points. The result is only written to the access points when
+// `apply` is set.
+export function calibrateLevel(levelId, { apply = false } = {}) {
+    const levelAccessPoints = accessPoints.filter(ap => ap.levelId === levelId)
+    const points = referencePoints.filter(point => point.levelId === levelId)
+
+    const fits = levelAccessPoints.map(ap => {
+        const samples = points
+            .map(point => ({
+                rssi: point.signals.find(s => s.apId === ap.id)?.rssi,
+                distance: Math.hypot(point.x - ap.x, point.y - ap.y)
+            }))
+            .filter(sample => sample.rssi !== undefined && sample.distance >= 1)
+        if (!samples.length) {
+            return { apId: ap.id, txPower: ap.txPower, pathLossExponent: ap.pathLossExponent, samples: 0 }
+        }
+        const fit = fitPathLoss(samples, ap.pathLossExponent ?? PATH_LOSS_EXPONENT)
+        return { apId: ap.id, ...fit, samples: samples.length }
+    })
+
+    const calibrated = levelAccessPoints.map((ap, i) => ({
+        ...ap,
+        txPower: fits[i].txPower,
+        pathLossExponent: fits[i].pathLossExponent
+    }))
+
+    const result = {
+        levelId,
+        applied: apply,
+        accessPoints: fits,
+        before: positioningError(levelAccessPoints, points),
+        after: positioningError(calibrated, points),
+        defaults: { txPower: RSSI_TX_POWER, pathLossExponent: PATH_LOSS_EXPONENT }
+    }
+
+    if (apply) {
+        levelAccessPoints.forEach((ap, i) => {
+            ap.txPower = fits[i].txPower
+            ap.pathLossExponent = fits[i].pathLossExponent
+        })
+        save()
+    }
+    return result
+}
@@ -0,0 +1,44 @@
+// Runtime settings read from the environment (see README). Unset or invalid
+// values fall back to the defaults.
+
+function number(value, fallback) {
+    return value === undefined || value === '' || isNaN(Number(value)) ? fallback : Number(value)
+}
+
+export const signalProcessing = {
+    // 'median', 'mean' or 'none': how each AP's RSSI is smoothed over the device's recent readings
+    smoothing: ['median', 'mean', 'none'].includes(process.env.RSSI_SMOOTHING) ? process.env.RSSI_SMOOTHING : 'median',
+    // Number of readings, including the new one, that the smoothing looks at
+    window: Math.max(1, Math.floor(number(process.env.RSSI_WINDOW, 5))),
+    // Signals weaker than this (dBm) are dropped as noise
+    noiseFloor: number(process.env.RSSI_NOISE_FLOOR, -90),
+    // Drop APs whose implied distance disagrees with the consensus of the others
+    outlierRejection: process.env.RSSI_OUTLIER_REJECTION !== 'false',
+    // Allowed mismatch between an AP's implied distance and its distance to the
+    // consensus position, as a fraction (0.5 accepts a ratio up to 1.5 either way)
+    outlierTolerance: number(process.env.RSSI_OUTLIER_TOLERANCE, 0.5)
+}
+
+export const simulator = {
+    // Milliseconds between rounds of simulated readings; each round every demo device reports once
+    interval: Math.max(100, number(process.env.SIM_INTERVAL, 2000)),
+    // Standard deviation of the noise added to the simulated RSSI, in dB
+    noise: Math.max(0, number(process.env.SIM_NOISE, 2)),
+    // Walking speed in metres per second, before the speed multiplier
+    walkingSpeed: Math.max(0, number(process.env.SIM_WALKING_SPEED, 1.2)),
+    // Chance that a device heads for another level when it picks its next destination
+    levelChange: Math.min(1, Math.max(0, number(process.env.SIM_LEVEL_CHANGE, 0.1))),
+    // Seed for the random paths and noise, so a run can be reproduced
+    seed: process.env.SIM_SEED || 'simulation'
+}
+
+export const webhooks = {
+    // Attempts per delivery, including the first, before it is marked failed
+    maxAttempts: Math.max(1, Math.floor(number(process.env.WEBHOOK_MAX_ATTEMPTS, 5))),
+    // Milliseconds before the first retry; each further retry waits twice as long
+    retryDelay: Math.max(0, number(process.env.WEBHOOK_RETRY_DELAY, 5000)),
+    // Milliseconds to wait for the receiver to respond
+    timeout: Math.max(100, number(process.env.WEBHOOK_TIMEOUT, 10000)),
+    // Deliveries kept in the log; the oldest finished ones are dropped first
+    logSize: Math.max(1, Math.floor(number(process.env.WEBHOOK_LOG_SIZE, 1000)))
+}
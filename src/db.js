@@ -1,24 +1,102 @@
-class AccessPoint {
-    constructor(id, x, y, levelId) {
+import fs from 'fs'
+import path, { dirname } from 'path'
+import { fileURLToPath } from 'url'
+import { nextId as nextInSeries } from '../shared/ids.js'
+import { locateDevice } from '../shared/positioning.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+const DB_FILE = process.env.DB_FILE || path.join(__dirname, '../data/tracking.json')
+// Device readings live beside the store in an append-only log, one JSON row
+// per line, so recording one does not rewrite everything else.
+const READINGS_FILE = `${DB_FILE.replace(/\.json$/, '')}.readings.jsonl`
+// Changes are written this many milliseconds after the first one, together
+// with any that follow in the meantime.
+const SAVE_DELAY = 1000
+
+// txPower (dBm at the reference distance) and pathLossExponent calibrate the
+// path-loss model for a single AP; null means the global defaults apply.
+export class AccessPoint {
+    constructor(id, x, y, levelId, txPower = null, pathLossExponent = null) {
         this.id = id
         this.x = x
         this.y = y
         this.levelId = levelId
+        this.txPower = txPower
+        this.pathLossExponent = pathLossExponent
+    }
+
+    static fromRow(row) {
+        return new AccessPoint(row.id, row.x, row.y, row.levelId, row.txPower, row.pathLossExponent)
+    }
+
+    toRow() {
+        return {
+            id: this.id,
+            x: this.x,
+            y: this.y,
+            levelId: this.levelId,
+            txPower: this.txPower,
+            pathLossExponent: this.pathLossExponent
+        }
     }
 }
 
-class DeviceReading {
-    constructor(id, name, signals, date, levelId) {
+// levelSource is 'reported' when the scanner sent a levelId and 'inferred'
+// when the server detected the level from the signals, with levelConfidence
+// in 0..1. processedSignals are the signals after smoothing and outlier
+// rejection, used for positioning; null for readings stored before that.
+export class DeviceReading {
+    constructor(
+        id, name, signals, date, levelId,
+        position = null, levelSource = 'reported', levelConfidence = 1, processedSignals = null,
+        truePosition = null
+    ) {
         this.id = id
         this.name = name
         this.signals = signals
         this.date = date
         this.levelId = levelId
+        this.position = position
+        this.levelSource = levelSource
+        this.levelConfidence = levelConfidence
+        this.processedSignals = processedSignals
+        // Ground truth {x, y, levelId, roomId}, known only for simulated readings
+        this.truePosition = truePosition
+        // Smoothed track estimate; derived from the history by tracking.js, not stored
+        this.filtered = null
+    }
+
+    static fromRow(row) {
+        return new DeviceReading(
+            row.id, row.name, row.signals, row.date, row.levelId,
+            row.position, row.levelSource, row.levelConfidence, row.processedSignals,
+            row.truePosition
+        )
+    }
+
+    toRow() {
+        return {
+            id: this.id,
+            name: this.name,
+            signals: this.signals.map(s => ({ apId: s.apId, rssi: s.rssi })),
+            date: this.date,
+            levelId: this.levelId,
+            position: this.position,
+            levelSource: this.levelSource,
+            levelConfidence: this.levelConfidence,
+            processedSignals: this.processedSignals && this.processedSignals.map(s => ({ apId: s.apId, rssi: s.rssi })),
+            truePosition: this.truePosition
+        }
     }
 }
 
-class Room {
-    constructor(id, name, x, y, width, height, levelId) {
+// A room is a polygon given as [[x, y], ...], e.g. for L-shaped rooms and
+// corridors, or without one the rectangle x, y, width, height. For polygon
+// rooms those four hold the bounding box, derived from the polygon.
+export class Room {
+    constructor(id, name, x, y, width, height, levelId, polygon = null) {
         this.id = id
         this.name = name
         this.x = x
@@ -26,24 +104,245 @@ class Room {
         this.width = width
         this.height = height
         this.levelId = levelId
+        this.polygon = polygon
+        if (polygon) {
+            const xs = polygon.map(([px]) => px)
+            const ys = polygon.map(([, py]) => py)
+            this.x = Math.min(...xs)
+            this.y = Math.min(...ys)
+            this.width = Math.max(...xs) - this.x
+            this.height = Math.max(...ys) - this.y
+        }
+    }
+
+    static fromRow(row) {
+        return new Room(row.id, row.name, row.x, row.y, row.width, row.height, row.levelId, row.polygon)
+    }
+
+    toRow() {
+        return {
+            id: this.id,
+            name: this.name,
+            x: this.x,
+            y: this.y,
+            width: this.width,
+            height: this.height,
+            levelId: this.levelId,
+            polygon: this.polygon
+        }
     }
 }
 
-class Level {
-    constructor(id, name, floorNumber) {
+export class Level {
+    constructor(id, name, floorNumber, positioningMethod = 'trilateration', trackingMethod = 'kalman') {
         this.id = id
         this.name = name
         this.floorNumber = floorNumber
+        this.positioningMethod = positioningMethod
+        this.trackingMethod = trackingMethod
+    }
+
+    static fromRow(row) {
+        return new Level(row.id, row.name, row.floorNumber, row.positioningMethod, row.trackingMethod)
+    }
+
+    toRow() {
+        return {
+            id: this.id,
+            name: this.name,
+            floorNumber: this.floorNumber,
+            positioningMethod: this.positioningMethod,
+            trackingMethod: this.trackingMethod
+        }
+    }
+}
+
+// A survey measurement: the RSSI vector of a device placed at a known position.
+export class ReferencePoint {
+    constructor(id, levelId, x, y, signals, date, deviceId = null) {
+        this.id = id
+        this.levelId = levelId
+        this.x = x
+        this.y = y
+        this.signals = signals
+        this.date = date
+        this.deviceId = deviceId
+    }
+
+    static fromRow(row) {
+        return new ReferencePoint(row.id, row.levelId, row.x, row.y, row.signals, row.date, row.deviceId)
+    }
+
+    toRow() {
+        return {
+            id: this.id,
+            levelId: this.levelId,
+            x: this.x,
+            y: this.y,
+            signals: this.signals.map(s => ({ apId: s.apId, rssi: s.rssi })),
+            date: this.date,
+            deviceId: this.deviceId
+        }
     }
 }
 
-export const levels = [
+// A geofence zone: a room, a polygon on a level given as [[x, y], ...], or,
+// with neither, every room of its level or, without a level, of the building.
+export class Zone {
+    constructor(id, name, levelId = null, roomId = null, polygon = null) {
+        this.id = id
+        this.name = name
+        this.levelId = levelId
+        this.roomId = roomId
+        this.polygon = polygon
+    }
+
+    static fromRow(row) {
+        return new Zone(row.id, row.name, row.levelId, row.roomId, row.polygon)
+    }
+
+    toRow() {
+        return {
+            id: this.id,
+            name: this.name,
+            levelId: this.levelId,
+            roomId: this.roomId,
+            polygon: this.polygon
+        }
+    }
+}
+
+// Raises an alert when a device enters or exits a zone, or has stayed in it
+// for dwellMinutes. Without a deviceId the rule applies to every device.
+export class GeofenceRule {
+    constructor(id, zoneId, type, deviceId = null, dwellMinutes = null) {
+        this.id = id
+        this.zoneId = zoneId
+        this.type = type
+        this.deviceId = deviceId
+        this.dwellMinutes = dwellMinutes
+    }
+
+    static fromRow(row) {
+        return new GeofenceRule(row.id, row.zoneId, row.type, row.deviceId, row.dwellMinutes)
+    }
+
+    toRow() {
+        return {
+            id: this.id,
+            zoneId: this.zoneId,
+            type: this.type,
+            deviceId: this.deviceId,
+            dwellMinutes: this.dwellMinutes
+        }
+    }
+}
+
+export class Alert {
+    constructor(id, ruleId, zoneId, type, deviceId, deviceName, date, message) {
+        this.id = id
+        this.ruleId = ruleId
+        this.zoneId = zoneId
+        this.type = type
+        this.deviceId = deviceId
+        this.deviceName = deviceName
+        this.date = date
+        this.message = message
+    }
+
+    static fromRow(row) {
+        return new Alert(row.id, row.ruleId, row.zoneId, row.type, row.deviceId, row.deviceName, row.date, row.message)
+    }
+
+    toRow() {
+        return {
+            id: this.id,
+            ruleId: this.ruleId,
+            zoneId: this.zoneId,
+            type: this.type,
+            deviceId: this.deviceId,
+            deviceName: this.deviceName,
+            date: this.date,
+            message: this.message
+        }
+    }
+}
+
+// A subscription to tracking events, delivered as POSTs to url signed with
+// secret.
+export class Webhook {
+    constructor(id, url, events, secret, createdAt) {
+        this.id = id
+        this.url = url
+        this.events = events
+        this.secret = secret
+        this.createdAt = createdAt
+    }
+
+    static fromRow(row) {
+        return new Webhook(row.id, row.url, row.events, row.secret, row.createdAt)
+    }
+
+    toRow() {
+        return {
+            id: this.id,
+            url: this.url,
+            events: this.events,
+            secret: this.secret,
+            createdAt: this.createdAt
+        }
+    }
+}
+
+// One event sent, or still to be sent, to one webhook. status is 'pending'
+// until an attempt succeeds ('delivered') or the attempts run out ('failed').
+export class WebhookDelivery {
+    constructor(
+        id, webhookId, event, payload, status = 'pending', attempts = 0,
+        nextAttemptAt = null, lastAttemptAt = null, responseStatus = null, error = null
+    ) {
+        this.id = id
+        this.webhookId = webhookId
+        this.event = event
+        this.payload = payload
+        this.status = status
+        this.attempts = attempts
+        this.nextAttemptAt = nextAttemptAt
+        this.lastAttemptAt = lastAttemptAt
+        this.responseStatus = responseStatus
+        this.error = error
+    }
+
+    static fromRow(row) {
+        return new WebhookDelivery(
+            row.id, row.webhookId, row.event, row.payload, row.status, row.attempts,
+            row.nextAttemptAt, row.lastAttemptAt, row.responseStatus, row.error
+        )
+    }
+
+    toRow() {
+        return {
+            id: this.id,
+            webhookId: this.webhookId,
+            event: this.event,
+            payload: this.payload,
+            status: this.status,
+            attempts: this.attempts,
+            nextAttemptAt: this.nextAttemptAt,
+            lastAttemptAt: this.lastAttemptAt,
+            responseStatus: this.responseStatus,
+            error: this.error
+        }
+    }
+}
+
+const seedLevels = [
     new Level('L001', 'Ground Floor', 0),
     new Level('L002', 'First Floor', 1),
     new Level('L003', 'Second Floor', 2)
 ]
 
-export const accessPoints = [
+const seedAccessPoints = [
     // Ground Floor - 5 APs
     new AccessPoint('AP000001', 100, 100, 'L001'),
     new AccessPoint('AP000002', 100, 500, 'L001'),
@@ -64,8 +363,7 @@ export const accessPoints = [
     new AccessPoint('AP000015', 1400, 300, 'L003')
 ]
 
-
-export const rooms = [
+const seedRooms = [
     // Ground Floor
     new Room('R001', 'Pantry', 100, 100, 500, 400, 'L001'),
     new Room('R002', 'Meeting Room', 600, 100, 500, 400, 'L001'),
@@ -81,4 +379,293 @@ export const rooms = [
     new Room('R010', 'Storage', 1000, 100, 400, 400, 'L003')
 ]
 
+const seedZones = [
+    new Zone('ZON000001', 'Server Room', 'L003', 'R008'),
+    new Zone('ZON000002', 'Building')
+]
+
+const seedGeofenceRules = [
+    new GeofenceRule('RUL000001', 'ZON000001', 'enter'),
+    new GeofenceRule('RUL000002', 'ZON000002', 'exit')
+]
+
+// Schema migrations, applied in order to the stored document. The index of a
+// migration plus one is the schema version it produces; never edit or reorder
+// an existing entry, append a new one instead.
+const migrations = [
+    data => {
+        data.levels = seedLevels.map(level => level.toRow())
+        data.accessPoints = seedAccessPoints.map(ap => ap.toRow())
+        data.rooms = seedRooms.map(room => room.toRow())
+        data.deviceReadings = []
+    },
+    // Positions are computed on ingest; backfill readings stored before that
+    data => locateStoredReadings(data),
+    // Positions gained a covariance estimate
+    data => locateStoredReadings(data),
+    // Optional per-AP path-loss calibration
+    data => {
+        data.accessPoints.forEach(row => {
+            row.txPower = row.txPower ?? null
+            row.pathLossExponent = row.pathLossExponent ?? null
+        })
+    },
+    // Reference measurements for path-loss calibration
+    data => {
+        data.referencePoints = []
+    },
+    // Positioning method selectable per level
+    data => {
+        data.levels.forEach(row => {
+            row.positioningMethod = row.positioningMethod ?? 'trilateration'
+        })
+    },
+    // Level can be inferred from the signals instead of reported
+    data => {
+        data.deviceReadings.forEach(row => {
+            row.levelSource = row.levelSource ?? 'reported'
+            row.levelConfidence = row.levelConfidence ?? 1
+        })
+    },
+    // Tracker (Kalman or particle filter) selectable per level
+    data => {
+        data.levels.forEach(row => {
+            row.trackingMethod = row.trackingMethod ?? 'kalman'
+        })
+    },
+    // Signals are pre-processed on ingest; earlier readings keep their raw signals
+    data => {
+        data.deviceReadings.forEach(row => {
+            row.processedSignals = row.processedSignals ?? null
+        })
+    },
+    // Simulated readings record where the device really was
+    data => {
+        data.deviceReadings.forEach(row => {
+            row.truePosition = row.truePosition ?? null
+        })
+    },
+    // Geofence zones, rules and the alerts they raised
+    data => {
+        data.zones = seedZones.map(zone => zone.toRow())
+        data.geofenceRules = seedGeofenceRules.map(rule => rule.toRow())
+        data.alerts = []
+    },
+    // Webhook subscriptions and their delivery log
+    data => {
+        data.webhooks = []
+        data.webhookDeliveries = []
+    },
+    // Rooms may be polygons; the existing ones stay rectangles
+    data => {
+        data.rooms.forEach(row => {
+            row.polygon = row.polygon ?? null
+        })
+    },
+    // Readings move out of the document into the readings log, which
+    // writeStore does for any migrated store
+    data => data,
+    // Ids come from counters that never go back
+    data => {
+        data.sequences = {}
+    }
+]
+
+function locateStoredReadings(data) {
+    data.deviceReadings.forEach(row => {
+        row.position = locateDevice(
+            data.accessPoints.filter(ap => ap.levelId === row.levelId),
+            row.signals,
+            data.rooms.filter(room => room.levelId === row.levelId)
+        )
+    })
+}
+
+function sampleKey(row) {
+    return `${row.id} ${new Date(row.date).getTime()}`
+}
+
+// Rows of the readings log. A row replaces any earlier one of the same device
+// and date, as a replaced sample is appended again.
+function readReadingLog() {
+    if (!fs.existsSync(READINGS_FILE)) {
+        return []
+    }
+    const rows = new Map()
+    const lines = fs.readFileSync(READINGS_FILE, 'utf8').split('\n')
+    lines.forEach((line, i) => {
+        if (!line.trim()) return
+        let row
+        try {
+            row = JSON.parse(line)
+        } catch (error) {
+            // A write cut short by a crash leaves the last line incomplete
+            if (i === lines.length - 1) return
+            throw error
+        }
+        rows.set(sampleKey(row), row)
+    })
+    return [...rows.values()]
+}
+
+function readStore(readOnly) {
+    const data = fs.existsSync(DB_FILE)
+        ? JSON.parse(fs.readFileSync(DB_FILE, 'utf8'))
+        : { version: 0 }
+    // Only stores from before the readings log hold the readings themselves
+    if (data.version && !data.deviceReadings) {
+        data.deviceReadings = readReadingLog()
+    }
+
+    if (data.version > migrations.length) {
+        throw new Error(`Database ${DB_FILE} has schema version ${data.version}, newer than this server supports (${migrations.length})`)
+    }
+
+    if (data.version < migrations.length) {
+        migrations.slice(data.version).forEach(migrate => migrate(data))
+        data.version = migrations.length
+        if (!readOnly) {
+            writeStore(data)
+        }
+    }
+    return data
+}
+
+function writeFile(file, text) {
+    fs.mkdirSync(dirname(file), { recursive: true })
+    const tmpFile = `${file}.tmp`
+    fs.writeFileSync(tmpFile, text)
+    fs.renameSync(tmpFile, file)
+}
+
+function readingLines(rows) {
+    return rows.map(row => `${JSON.stringify(row)}\n`).join('')
+}
+
+// Writes the readings log first: a store document without readings is only
+// ever next to a complete log.
+function writeStore({ deviceReadings: readingRows, ...data }) {
+    writeFile(READINGS_FILE, readingLines(readingRows))
+    writeFile(DB_FILE, JSON.stringify(data))
+}
+
+// The tables, filled by loadStore. Other modules hold on to these arrays, so
+// they are only ever changed in place.
+export const levels = []
+export const accessPoints = []
+export const rooms = []
 export const deviceReadings = []
+export const referencePoints = []
+export const zones = []
+export const geofenceRules = []
+export const alerts = []
+export const webhooks = []
+export const webhookDeliveries = []
+
+let readOnly = false
+
+// Highest number handed out per id prefix.
+const sequences = {}
+
+// Next id of a table, e.g. ALR000012 for the alerts. A number is never handed
+// out twice, even once the item that had it is deleted, so receivers that
+// deduplicate on ids such as webhook deliveries never drop a new one.
+export function nextId(prefix, table, digits = 6) {
+    const id = nextInSeries(prefix, table, digits, sequences[prefix])
+    sequences[prefix] = Number(id.slice(prefix.length))
+    return id
+}
+
+function fill(table, rows, model) {
+    table.length = 0
+    rows.forEach(row => table.push(model.fromRow(row)))
+}
+
+// Reads the store into the tables, creating or migrating it first. Read-only,
+// an old store is migrated in memory only and nothing is ever written, e.g.
+// for offline scripts that must leave the live store alone.
+export function loadStore(options = {}) {
+    readOnly = Boolean(options.readOnly)
+    const store = readStore(readOnly)
+    fill(levels, store.levels, Level)
+    fill(accessPoints, store.accessPoints, AccessPoint)
+    fill(rooms, store.rooms, Room)
+    fill(deviceReadings, store.deviceReadings, DeviceReading)
+    fill(referencePoints, store.referencePoints, ReferencePoint)
+    fill(zones, store.zones, Zone)
+    fill(geofenceRules, store.geofenceRules, GeofenceRule)
+    fill(alerts, store.alerts, Alert)
+    fill(webhooks, store.webhooks, Webhook)
+    fill(webhookDeliveries, store.webhookDeliveries, WebhookDelivery)
+    Object.keys(sequences).forEach(prefix => delete sequences[prefix])
+    Object.assign(sequences, store.sequences)
+}
+
+let saveTimer = null
+let storeChanged = false
+let readingsChanged = false
+let newReadings = []
+
+function scheduleSave() {
+    saveTimer = saveTimer || setTimeout(flush, SAVE_DELAY)
+}
+
+// Marks the tables as changed; call after mutating any of the exported arrays
+// other than deviceReadings. The write happens SAVE_DELAY later, or on flush.
+export function save() {
+    storeChanged = true
+    scheduleSave()
+}
+
+// Queues newly recorded readings, including replaced samples, for appending
+// to the readings log.
+export function appendReadings(readings) {
+    newReadings.push(...readings)
+    scheduleSave()
+}
+
+// Queues a rewrite of the whole readings log; call after changing readings
+// that were already stored.
+export function rewriteReadings() {
+    readingsChanged = true
+    scheduleSave()
+}
+
+// Writes the queued changes now.
+export function flush() {
+    clearTimeout(saveTimer)
+    saveTimer = null
+    if (readOnly) {
+        newReadings = []
+        return
+    }
+    if (readingsChanged) {
+        writeFile(READINGS_FILE, readingLines(deviceReadings.map(reading => reading.toRow())))
+    } else if (newReadings.length) {
+        fs.appendFileSync(READINGS_FILE, readingLines(newReadings.map(reading => reading.toRow())))
+    }
+    if (storeChanged) {
+        writeFile(DB_FILE, JSON.stringify(storeDocument()))
+    }
+    storeChanged = false
+    readingsChanged = false
+    newReadings = []
+}
+
+process.on('exit', flush)
+
+function storeDocument() {
+    return {
+        version: migrations.length,
+        levels: levels.map(level => level.toRow()),
+        accessPoints: accessPoints.map(ap => ap.toRow()),
+        rooms: rooms.map(room => room.toRow()),
+        referencePoints: referencePoints.map(point => point.toRow()),
+        zones: zones.map(zone => zone.toRow()),
+        geofenceRules: geofenceRules.map(rule => rule.toRow()),
+        alerts: alerts.map(alert => alert.toRow()),
+        webhooks: webhooks.map(webhook => webhook.toRow()),
+        webhookDeliveries: webhookDeliveries.map(delivery => delivery.toRow()),
+        sequences
+    }
+}
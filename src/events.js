@@ -0,0 +1,11 @@
+import { EventEmitter } from 'events'
+
+// In-process bus for tracking events. Emitted events:
+//   'reading' ({ reading, created }) whenever a device reading is written
+//   'alert' (alert) whenever a geofence rule raises an alert
+const events = new EventEmitter()
+
+// Every open /stream connection subscribes, so lift the default cap of 10.
+events.setMaxListeners(0)
+
+export default events
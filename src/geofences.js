@@ -0,0 +1,189 @@
+import { Alert, alerts, deviceReadings, geofenceRules, GeofenceRule, nextId, rooms, save, Zone, zones } from './db.js'
+import { PRESENCE_TIMEOUT_SECONDS } from './analytics.js'
+import events from './events.js'
+import { roomIdOf } from './positions.js'
+import { isInPolygon } from '../shared/positioning.js'
+
+export const RULE_TYPES = ['enter', 'exit', 'dwell']
+
+// Whether a reading places its device inside a zone. Room zones follow the
+// room the reading is assigned to; polygon zones test the tracked estimate,
+// or the raw position without one, the same way rooms do, walls included.
+// A zone without either covers every room of its level, or of the building
+// if it has no level either.
+export function zoneContains(zone, reading) {
+    if (zone.levelId && reading.levelId !== zone.levelId) {
+        return false
+    }
+    if (zone.roomId) {
+        return roomIdOf(reading) === zone.roomId
+    }
+    if (zone.polygon) {
+        const estimate = reading.filtered || reading.position
+        return Boolean(estimate) && isInPolygon(estimate.x, estimate.y, zone.polygon)
+    }
+    return roomIdOf(reading) !== null
+}
+
+// How often devices that went unseen are checked for, in milliseconds.
+const ABSENCE_CHECK_INTERVAL = 60 * 1000
+
+// Per device: the date of the last evaluated reading, when it arrived and,
+// for every zone the device is in, since when and which dwell rules already
+// fired during that stay.
+const presence = new Map()
+
+function zonesOf(reading, previous, date) {
+    const inside = new Map()
+    zones.forEach(zone => {
+        if (zoneContains(zone, reading)) {
+            inside.set(zone.id, previous?.zones.get(zone.id) || { since: date, dwellAlerted: new Set() })
+        }
+    })
+    return inside
+}
+
+// Starts from where every device was last seen, so a restart does not raise
+// alerts for devices that were already inside a zone.
+function initializePresence() {
+    const latest = new Map()
+    deviceReadings.forEach(reading => {
+        const known = latest.get(reading.id)
+        if (!known || new Date(reading.date) > new Date(known.date)) {
+            latest.set(reading.id, reading)
+        }
+    })
+    latest.forEach(reading => {
+        const date = new Date(reading.date)
+        presence.set(reading.id, { name: reading.name, date, seenAt: new Date(), zones: zonesOf(reading, null, date) })
+    })
+}
+
+function raise(rule, zone, device, date, message) {
+    const alert = new Alert(nextId('ALR', alerts), rule.id, zone.id, rule.type, device.id, device.name, date, message)
+    alerts.push(alert)
+    return alert
+}
+
+function rulesFor(deviceId) {
+    return geofenceRules.filter(rule => !rule.deviceId || rule.deviceId === deviceId)
+}
+
+// Checks a newly ingested reading against every rule that applies to its
+// device and returns the alerts it raised. They are stored with the reading,
+// by the caller's save. Readings that could not be located, or are not newer
+// than the last one seen of the device (late arrivals, replaced samples),
+// leave the device where it was.
+export function evaluateGeofences(reading) {
+    const date = new Date(reading.date)
+    const previous = presence.get(reading.id)
+    if (!(reading.filtered || reading.position) || (previous && date <= previous.date)) {
+        return []
+    }
+
+    const inside = zonesOf(reading, previous, date)
+    const raised = []
+    const name = reading.name || reading.id
+    rulesFor(reading.id).forEach(rule => {
+        const zone = zones.find(z => z.id === rule.zoneId)
+        if (!zone) return
+        const was = previous?.zones.has(zone.id) ?? false
+        const stay = inside.get(zone.id)
+
+        if (rule.type === 'enter' && stay && !was) {
+            raised.push(raise(rule, zone, reading, reading.date, `${name} entered ${zone.name}`))
+        } else if (rule.type === 'exit' && was && !stay) {
+            raised.push(raise(rule, zone, reading, reading.date, `${name} left ${zone.name}`))
+        } else if (rule.type === 'dwell' && stay && !stay.dwellAlerted.has(rule.id)) {
+            const minutes = (date - stay.since) / 60000
+            if (minutes >= rule.dwellMinutes) {
+                stay.dwellAlerted.add(rule.id)
+                raised.push(raise(rule, zone, reading, reading.date, `${name} has been in ${zone.name} for ${Math.floor(minutes)} min`))
+            }
+        }
+    })
+
+    presence.set(reading.id, { name: reading.name, date, seenAt: new Date(), zones: inside })
+    return raised
+}
+
+// A device that has not been heard for the presence timeout has left every
+// zone it was in, e.g. it walked out of range of the building's APs. Timed
+// against when readings arrived rather than their dates, so replayed history
+// does not expire at once.
+export function expireAbsentDevices(now = new Date()) {
+    const raised = []
+    presence.forEach((state, deviceId) => {
+        if (!state.zones.size || (now - state.seenAt) / 1000 <= PRESENCE_TIMEOUT_SECONDS) return
+        const device = { id: deviceId, name: state.name }
+        const name = state.name || deviceId
+        rulesFor(deviceId)
+            .filter(rule => rule.type === 'exit' && state.zones.has(rule.zoneId))
+            .forEach(rule => {
+                const zone = zones.find(z => z.id === rule.zoneId)
+                if (zone) {
+                    raised.push(raise(rule, zone, device, now.toISOString(), `${name} left ${zone.name} (no longer seen)`))
+                }
+            })
+        state.zones = new Map()
+    })
+    if (raised.length) {
+        save()
+        raised.forEach(alert => events.emit('alert', alert))
+    }
+    return raised
+}
+
+export function addZone({ name, levelId, roomId, polygon }) {
+    const room = roomId ? rooms.find(r => r.id === roomId) : null
+    const zone = new Zone(nextId('ZON', zones), name, room ? room.levelId : levelId || null, roomId || null, polygon || null)
+    zones.push(zone)
+    save()
+    return zone
+}
+
+export function removeZone(id) {
+    const index = zones.findIndex(zone => zone.id === id)
+    if (index === -1) {
+        return false
+    }
+    zones.splice(index, 1)
+    save()
+    return true
+}
+
+export function addRule({ zoneId, type, deviceId, dwellMinutes }) {
+    const rule = new GeofenceRule(
+        nextId('RUL', geofenceRules), zoneId, type, deviceId || null, type === 'dwell' ? dwellMinutes : null
+    )
+    geofenceRules.push(rule)
+    save()
+    return rule
+}
+
+export function removeRule(id) {
+    const index = geofenceRules.findIndex(rule => rule.id === id)
+    if (index === -1) {
+        return false
+    }
+    geofenceRules.splice(index, 1)
+    save()
+    return true
+}
+
+// Alerts, newest first, optionally filtered by device, zone, rule and time.
+export function getAlerts({ deviceId, zoneId, ruleId, from, to } = {}) {
+    return alerts
+        .filter(alert => !deviceId || alert.deviceId === deviceId)
+        .filter(alert => !zoneId || alert.zoneId === zoneId)
+        .filter(alert => !ruleId || alert.ruleId === ruleId)
+        .filter(alert => !from || new Date(alert.date) >= from)
+        .filter(alert => !to || new Date(alert.date) <= to)
+        .sort((a, b) => new Date(b.date) - new Date(a.date))
+}
+
+// Picks up from the loaded store and starts checking for absent devices.
+export function startGeofences() {
+    initializePresence()
+    setInterval(() => expireAbsentDevices(), ABSENCE_CHECK_INTERVAL).unref()
+}
@@ -0,0 +1,204 @@
+import { AccessPoint, accessPoints, Level, levels, nextId, Room, rooms, save, zones } from './db.js'
+import { relocateLevel } from './positions.js'
+import { TRACKING_METHODS } from './tracking.js'
+import { isPolygon, POSITIONING_METHODS } from '../shared/positioning.js'
+
+// The building layout: levels, access points and rooms. Positions depend on
+// where the APs and rooms are, so changing either recomputes the stored
+// positions on the levels involved.
+
+const isName = value => typeof value === 'string' && value.trim() !== ''
+const isNullableNumber = value => value === null || Number.isFinite(value)
+
+// Per field: whether a create or replace must include it, and the check its
+// value must pass. A resource's complete check covers fields that are only
+// required together.
+const LEVEL_FIELDS = {
+    name: { required: true, valid: isName, message: 'must be a non-empty string' },
+    floorNumber: { required: true, valid: Number.isInteger, message: 'must be an integer' },
+    positioningMethod: {
+        valid: value => POSITIONING_METHODS.includes(value),
+        message: `must be one of: ${POSITIONING_METHODS.join(', ')}`
+    },
+    trackingMethod: {
+        valid: value => TRACKING_METHODS.includes(value),
+        message: `must be one of: ${TRACKING_METHODS.join(', ')}`
+    }
+}
+
+const ACCESS_POINT_FIELDS = {
+    x: { required: true, valid: Number.isFinite, message: 'must be a number' },
+    y: { required: true, valid: Number.isFinite, message: 'must be a number' },
+    levelId: { required: true, valid: id => levels.some(level => level.id === id), message: 'must be an existing level' },
+    txPower: { valid: isNullableNumber, message: 'must be a number or null' },
+    pathLossExponent: {
+        valid: value => value === null || (Number.isFinite(value) && value > 0),
+        message: 'must be a positive number or null'
+    }
+}
+
+// A room is either a polygon or the rectangle x, y, width, height. Sent
+// together, as the API returns polygon rooms, the polygon wins and the
+// rectangle is recomputed as its bounding box.
+const ROOM_FIELDS = {
+    name: { required: true, valid: isName, message: 'must be a non-empty string' },
+    x: { valid: Number.isFinite, message: 'must be a number' },
+    y: { valid: Number.isFinite, message: 'must be a number' },
+    width: { valid: value => Number.isFinite(value) && value > 0, message: 'must be a positive number' },
+    height: { valid: value => Number.isFinite(value) && value > 0, message: 'must be a positive number' },
+    levelId: { required: true, valid: id => levels.some(level => level.id === id), message: 'must be an existing level' },
+    polygon: { valid: value => value === null || isPolygon(value), message: 'must be at least three [x, y] points or null' }
+}
+const RECTANGLE_FIELDS = ['x', 'y', 'width', 'height']
+
+// Levels whose stored positions an edit invalidates: the ones an AP or room
+// was on before and after, or a level whose methods changed.
+function affectedLevels(resource, before, after) {
+    if (resource === 'levels') {
+        const changed = before && after && (before.positioningMethod !== after.positioningMethod ||
+            before.trackingMethod !== after.trackingMethod)
+        return changed ? [after.id] : []
+    }
+    return [...new Set([before?.levelId, after?.levelId].filter(Boolean))]
+}
+
+function commit(resource, before, after) {
+    const relocate = affectedLevels(resource, before, after)
+    if (relocate.length) {
+        relocate.forEach(levelId => relocateLevel(levelId))
+    } else {
+        save()
+    }
+}
+
+// Anything still on a level or in a room keeps it from being deleted.
+function dependentsOf(resource, item) {
+    if (resource === 'levels') {
+        const held = [
+            [rooms.filter(room => room.levelId === item.id).length, 'rooms'],
+            [accessPoints.filter(ap => ap.levelId === item.id).length, 'access points'],
+            [zones.filter(zone => zone.levelId === item.id).length, 'geofence zones']
+        ].filter(([count]) => count)
+        return held.length ? `Level still has ${held.map(([count, what]) => `${what} (${count})`).join(', ')}` : null
+    }
+    if (resource === 'rooms' && zones.some(zone => zone.roomId === item.id)) {
+        return 'Room is still used by geofence zones'
+    }
+    return null
+}
+
+export const LAYOUT_RESOURCES = {
+    levels: {
+        label: 'Level',
+        table: levels,
+        fields: LEVEL_FIELDS,
+        newId: () => nextId('L', levels, 3),
+        build: (id, f) => new Level(id, f.name, f.floorNumber, f.positioningMethod, f.trackingMethod)
+    },
+    'access-points': {
+        label: 'Access point',
+        table: accessPoints,
+        fields: ACCESS_POINT_FIELDS,
+        newId: () => nextId('AP', accessPoints),
+        build: (id, f) => new AccessPoint(id, f.x, f.y, f.levelId, f.txPower ?? null, f.pathLossExponent ?? null)
+    },
+    rooms: {
+        label: 'Room',
+        table: rooms,
+        fields: ROOM_FIELDS,
+        newId: () => nextId('R', rooms, 3),
+        build: (id, f) => new Room(id, f.name, f.x, f.y, f.width, f.height, f.levelId, f.polygon ?? null),
+        complete: body => body.polygon || RECTANGLE_FIELDS.every(field => body[field] !== undefined)
+            ? null
+            : 'A room needs either a polygon or x, y, width and height',
+        // Changing the rectangle of a polygon room turns it into a rectangle
+        merge: (item, changes) => {
+            const polygon = 'polygon' in changes ? changes.polygon
+                : RECTANGLE_FIELDS.some(field => field in changes) ? null
+                    : item.polygon
+            return { ...item, ...changes, polygon }
+        }
+    }
+}
+
+// Checks a request body against a resource's fields and returns an error
+// message, or null if it is valid. A partial body (PATCH) may leave fields
+// out but must change at least one.
+export function validateLayoutFields(resource, body, partial = false) {
+    const { fields, complete } = LAYOUT_RESOURCES[resource]
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return 'Expected a JSON object'
+    }
+    const unknown = Object.keys(body).find(key => key !== 'id' && !(key in fields))
+    if (unknown) {
+        return `Unknown field: ${unknown}`
+    }
+    for (const [field, { required, valid, message }] of Object.entries(fields)) {
+        if (body[field] === undefined) {
+            if (required && !partial) return `${field} is required`
+        } else if (!valid(body[field])) {
+            return `${field} ${message}`
+        }
+    }
+    if (partial && !Object.keys(body).some(key => key in fields)) {
+        return 'Nothing to update'
+    }
+    return (!partial && complete?.(body)) || null
+}
+
+export function findLayoutItem(resource, id) {
+    return LAYOUT_RESOURCES[resource].table.find(item => item.id === id)
+}
+
+export function createLayoutItem(resource, id, body) {
+    const { table, newId, build } = LAYOUT_RESOURCES[resource]
+    const item = build(id || newId(), body)
+    table.push(item)
+    commit(resource, null, item)
+    return item
+}
+
+// Replaces every field (PUT); fields left out fall back to their defaults.
+// The item is updated in place, since other modules hold on to it.
+export function replaceLayoutItem(resource, item, body) {
+    const before = { ...item }
+    Object.assign(item, LAYOUT_RESOURCES[resource].build(item.id, body))
+    afterUpdate(resource, before, item)
+    return item
+}
+
+// Changes only the fields given (PATCH). The item is rebuilt from the merged
+// fields, so derived values such as a polygon room's bounds stay consistent.
+export function updateLayoutItem(resource, item, body) {
+    const before = { ...item }
+    const { fields, build, merge } = LAYOUT_RESOURCES[resource]
+    const changes = Object.fromEntries(
+        Object.keys(fields).filter(field => body[field] !== undefined).map(field => [field, body[field]])
+    )
+    Object.assign(item, build(item.id, merge ? merge(item, changes) : { ...item, ...changes }))
+    afterUpdate(resource, before, item)
+    return item
+}
+
+function afterUpdate(resource, before, item) {
+    // Room zones are stored with the level of their room
+    if (resource === 'rooms' && before.levelId !== item.levelId) {
+        zones.filter(zone => zone.roomId === item.id).forEach(zone => {
+            zone.levelId = item.levelId
+        })
+    }
+    commit(resource, before, item)
+}
+
+// Deletes an item unless something still depends on it; returns the reason
+// it was kept, or null once deleted.
+export function deleteLayoutItem(resource, item) {
+    const blocked = dependentsOf(resource, item)
+    if (blocked) {
+        return blocked
+    }
+    const { table } = LAYOUT_RESOURCES[resource]
+    table.splice(table.indexOf(item), 1)
+    commit(resource, item, null)
+    return null
+}
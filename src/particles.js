@@ -0,0 +1,158 @@
+import { DISTANCE_SCALE, DOOR_WIDTH, findRoomAt, isInRoom, roomAdjacency, snapToRooms } from '../shared/positioning.js'
+import { createRandom, gaussian } from './random.js'
+import { measurementNoise } from './tracking.js'
+
+const PARTICLE_COUNT = 300
+// Standard deviation of a particle's random walk over one second, in map
+// units; over dt seconds it is this times the square root of dt.
+const WALK_SPEED_SD = DISTANCE_SCALE
+// Spacing of the points checked along a particle's move for leaving walkable space.
+const PATH_STEP = DISTANCE_SCALE / 5
+// Attempts at a walkable move before a particle stays where it is.
+const MOVE_ATTEMPTS = 3
+
+// Particle filter whose particles are confined to walkable space: the union
+// of the level's rooms. A move that would leave it, even part way, is
+// rejected, and so is one into another room anywhere but through the doorway
+// in the middle of the wall the two share, so particles cannot cross walls.
+// The estimate is snapped back into a room rather than discarded. Levels
+// without rooms are unconstrained.
+export class ParticleTrack {
+    constructor(levelId, date, position, rooms, seed) {
+        this.method = 'particle'
+        this.levelId = levelId
+        this.date = date
+        this.rooms = rooms
+        this.doors = roomAdjacency(rooms, DOOR_WIDTH)
+        // Seeded per device, so replaying the same history gives the same track
+        this.random = createRandom(seed)
+        this.last = null
+        this.initialize(position)
+    }
+
+    initialize(position) {
+        const { xx: [xx], yy: [, yy] } = measurementNoise(position)
+        this.particles = Array.from({ length: PARTICLE_COUNT }, () => {
+            const p = snapToRooms(
+                position.x + this.gaussian() * Math.sqrt(xx),
+                position.y + this.gaussian() * Math.sqrt(yy),
+                this.rooms
+            )
+            return { x: p.x, y: p.y, weight: 1 / PARTICLE_COUNT }
+        })
+    }
+
+    gaussian() {
+        return gaussian(this.random)
+    }
+
+    // Whether stepping from one room into another at (x, y) goes through
+    // the doorway between them.
+    isDoorway(from, to, x, y) {
+        return this.doors.some(door =>
+            ((door.from === from.id && door.to === to.id) || (door.from === to.id && door.to === from.id)) &&
+            Math.hypot(door.x - x, door.y - y) <= DOOR_WIDTH / 2)
+    }
+
+    // Follows the move in short steps, keeping track of the room it is in.
+    canMove(from, to) {
+        if (!this.rooms.length) return true
+        let room = findRoomAt(from.x, from.y, this.rooms)
+        let previous = from
+        const steps = Math.ceil(Math.hypot(to.x - from.x, to.y - from.y) / PATH_STEP)
+        for (let i = 1; i <= steps; i++) {
+            const t = i / steps
+            const point = { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t }
+            if (!room || !isInRoom(point.x, point.y, room)) {
+                const next = findRoomAt(point.x, point.y, this.rooms)
+                if (!next || (room && !this.isDoorway(room, next, (previous.x + point.x) / 2, (previous.y + point.y) / 2))) {
+                    return false
+                }
+                room = next
+            }
+            previous = point
+        }
+        return true
+    }
+
+    predict(dt) {
+        const sd = WALK_SPEED_SD * Math.sqrt(dt)
+        this.particles.forEach(p => {
+            for (let attempt = 0; attempt < MOVE_ATTEMPTS; attempt++) {
+                const next = { x: p.x + this.gaussian() * sd, y: p.y + this.gaussian() * sd }
+                if (this.canMove(p, next)) {
+                    p.x = next.x
+                    p.y = next.y
+                    return
+                }
+            }
+        })
+    }
+
+    update(position) {
+        const { xx: [xx, xy], yy: [, yy] } = measurementNoise(position)
+        const det = xx * yy - xy * xy
+        this.particles.forEach(p => {
+            const dx = p.x - position.x
+            const dy = p.y - position.y
+            const mahalanobis = (yy * dx * dx - 2 * xy * dx * dy + xx * dy * dy) / det
+            p.weight *= Math.exp(-0.5 * mahalanobis)
+        })
+
+        const total = this.particles.reduce((sum, p) => sum + p.weight, 0)
+        if (!(total > 0)) {
+            // No particle explains the measurement; the device must have moved
+            // somewhere the cloud could not follow, so start over around it.
+            this.initialize(position)
+            return
+        }
+        this.particles.forEach(p => {
+            p.weight /= total
+        })
+
+        const effective = 1 / this.particles.reduce((sum, p) => sum + p.weight * p.weight, 0)
+        if (effective < PARTICLE_COUNT / 2) {
+            this.resample()
+        }
+    }
+
+    // Systematic resampling.
+    resample() {
+        const resampled = []
+        const step = 1 / PARTICLE_COUNT
+        let target = this.random() * step
+        let cumulative = 0
+        for (const p of this.particles) {
+            cumulative += p.weight
+            while (target < cumulative && resampled.length < PARTICLE_COUNT) {
+                resampled.push({ x: p.x, y: p.y, weight: step })
+                target += step
+            }
+        }
+        while (resampled.length < PARTICLE_COUNT) {
+            const last = resampled[resampled.length - 1]
+            resampled.push({ ...last })
+        }
+        this.particles = resampled
+    }
+
+    estimate() {
+        const mean = this.particles.reduce((m, p) => ({ x: m.x + p.weight * p.x, y: m.y + p.weight * p.y }), { x: 0, y: 0 })
+        const covariance = this.particles.reduce((c, p) => ({
+            xx: c.xx + p.weight * (p.x - mean.x) ** 2,
+            xy: c.xy + p.weight * (p.x - mean.x) * (p.y - mean.y),
+            yy: c.yy + p.weight * (p.y - mean.y) ** 2
+        }), { xx: 0, xy: 0, yy: 0 })
+
+        // The mean of a cloud split across rooms can fall between them
+        const { x, y } = snapToRooms(mean.x, mean.y, this.rooms)
+
+        const dt = this.last ? (this.date - this.last.date) / 1000 : 0
+        const velocity = dt > 0
+            ? { vx: (x - this.last.x) / dt, vy: (y - this.last.y) / dt }
+            : { vx: 0, vy: 0 }
+        this.last = { x, y, date: this.date }
+
+        return { x, y, ...velocity, covariance }
+    }
+}
@@ -0,0 +1,89 @@
+import { accessPoints, deviceReadings, levels, referencePoints, rewriteReadings, rooms, save } from './db.js'
+import { errorEllipse, locateDevice } from '../shared/positioning.js'
+import { rebuildTracks } from './tracking.js'
+
+// Computes where a reading places its device, using the layout, reference
+// points and positioning method of the reading's level. Stored on the reading
+// at ingest time; pass `method` to compare against another method instead.
+// Levels tracked by particle filter keep positions outside every room, since
+// the filter snaps them into walkable space rather than dropping them; pass
+// `requireRoom` to override that.
+export function locateReading(reading, method, requireRoom) {
+    const level = levels.find(l => l.id === reading.levelId)
+    return locateDevice(
+        accessPoints.filter(ap => ap.levelId === reading.levelId),
+        reading.processedSignals ?? reading.signals,
+        rooms.filter(room => room.levelId === reading.levelId),
+        {
+            method: method || level?.positioningMethod,
+            radioMap: referencePoints.filter(point => point.levelId === reading.levelId),
+            requireRoom: requireRoom ?? level?.trackingMethod !== 'particle'
+        }
+    )
+}
+
+// Recomputes the stored positions of every reading on a level, after its
+// positioning or tracking method or calibration changed.
+export function relocateLevel(levelId) {
+    const relocated = deviceReadings.filter(reading => reading.levelId === levelId)
+    relocated.forEach(reading => {
+        reading.position = locateReading(reading)
+    })
+    rebuildTracks(new Set(relocated.map(reading => reading.id)))
+    rewriteReadings()
+    save()
+}
+
+// Room a reading places its device in: the tracked estimate's where there is
+// one, since it flickers less between neighbouring rooms than the raw position.
+export function roomIdOf(reading) {
+    return reading.filtered?.roomId ?? reading.position?.roomId ?? null
+}
+
+// API representation of a reading's position, or null if it has none.
+export function describePosition(reading, position = reading.position) {
+    if (!position) {
+        return null
+    }
+    const { x, y, covariance, roomId, confidence, method } = position
+    const room = rooms.find(r => r.id === roomId)
+    const level = levels.find(l => l.id === reading.levelId)
+    return {
+        deviceId: reading.id,
+        name: reading.name,
+        date: reading.date,
+        x,
+        y,
+        room: room ? { id: room.id, name: room.name } : null,
+        level: {
+            id: reading.levelId,
+            name: level?.name ?? null,
+            source: reading.levelSource,
+            confidence: reading.levelConfidence
+        },
+        confidence,
+        method: method || 'trilateration',
+        covariance,
+        ellipse: covariance ? errorEllipse(covariance) : null,
+        filtered: describeTrack(reading)
+    }
+}
+
+// API representation of a reading's filtered track estimate, or null.
+export function describeTrack(reading) {
+    if (!reading.filtered) {
+        return null
+    }
+    const { x, y, vx, vy, covariance, roomId, method } = reading.filtered
+    const room = rooms.find(r => r.id === roomId)
+    return {
+        method,
+        x,
+        y,
+        vx,
+        vy,
+        room: room ? { id: room.id, name: room.name } : null,
+        covariance,
+        ellipse: errorEllipse(covariance)
+    }
+}
@@ -0,0 +1,17 @@
+// Small seeded generator (mulberry32), so runs that start from the same seed
+// produce the same sequence.
+export function createRandom(seedText) {
+    let seed = [...seedText].reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619), 2166136261)
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+    }
+}
+
+// Standard normal sample (Box-Muller) drawn from the given generator.
+export function gaussian(random) {
+    const u = 1 - random()
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random())
+}
@@ -0,0 +1,99 @@
+import { accessPoints, appendReadings, deviceReadings, DeviceReading, save } from './db.js'
+import events from './events.js'
+import { locateReading } from './positions.js'
+import { trackReading } from './tracking.js'
+import { processSignals } from './signals.js'
+import { evaluateGeofences } from './geofences.js'
+import { detectLevel } from '../shared/positioning.js'
+
+// Readings form an append-only time series keyed by device id plus timestamp.
+// Two readings for the same device at the same instant are the same sample.
+function sameSample(a, b) {
+    return a.id === b.id && new Date(a.date).getTime() === new Date(b.date).getTime()
+}
+
+// Signals are [{ apId, rssi }] with a string AP id and a finite RSSI in dBm.
+export function isSignalList(signals) {
+    return Array.isArray(signals) && signals.every(signal =>
+        signal !== null && typeof signal === 'object' && typeof signal.apId === 'string' && Number.isFinite(signal.rssi))
+}
+
+export function findReading(id, date) {
+    return deviceReadings.find(reading => sameSample(reading, { id, date }))
+}
+
+// levelId is an optional override; without it the level is inferred from the
+// access points heard, and left null if none of them are known.
+export function resolveLevel(signals, levelId) {
+    if (levelId) {
+        return { levelId, levelSource: 'reported', levelConfidence: 1 }
+    }
+    const detected = detectLevel(signals, accessPoints)
+    return {
+        levelId: detected?.levelId ?? null,
+        levelSource: 'inferred',
+        levelConfidence: detected?.confidence ?? 0
+    }
+}
+
+function ingest({ id, name, signals, date, levelId, levelSource, levelConfidence, truePosition }) {
+    const reading = new DeviceReading(
+        id, name, signals, date, levelId, null, levelSource, levelConfidence, null, truePosition
+    )
+    reading.processedSignals = processSignals(reading)
+    reading.position = locateReading(reading)
+    const index = deviceReadings.findIndex(existing => sameSample(existing, reading))
+    if (index === -1) {
+        deviceReadings.push(reading)
+    } else {
+        deviceReadings[index] = reading
+    }
+    trackReading(reading)
+    return { reading, created: index === -1, raised: evaluateGeofences(reading) }
+}
+
+// Appends readings, replacing the existing sample with the same key if there
+// is one, and stores them in one write. Returns whether each one created a
+// new sample.
+export function recordReadings(batch) {
+    const results = batch.map(ingest)
+    appendReadings(results.map(({ reading }) => reading))
+    if (results.some(({ raised }) => raised.length)) {
+        save()
+    }
+    results.forEach(({ reading, created, raised }) => {
+        events.emit('reading', { reading, created })
+        raised.forEach(alert => events.emit('alert', alert))
+    })
+    return results.map(({ created }) => created)
+}
+
+export function recordReading(reading) {
+    return recordReadings([reading])[0]
+}
+
+export function getDeviceHistory(id, range) {
+    return getReadingsBetween(range, { deviceId: id })
+}
+
+// Readings of all devices within a time window, oldest first, optionally
+// limited to one level or device.
+export function getReadingsBetween({ from, to } = {}, { levelId, deviceId } = {}) {
+    return deviceReadings
+        .filter(reading => !levelId || reading.levelId === levelId)
+        .filter(reading => !deviceId || reading.id === deviceId)
+        .filter(reading => !from || new Date(reading.date) >= from)
+        .filter(reading => !to || new Date(reading.date) <= to)
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+}
+
+// Current state: the most recent reading of every device.
+export function getLatestReadings(readings = deviceReadings) {
+    const latest = {}
+    readings.forEach(reading => {
+        if (!latest[reading.id] || new Date(reading.date) > new Date(latest[reading.id].date)) {
+            latest[reading.id] = reading
+        }
+    })
+    return Object.values(latest)
+}
@@ -0,0 +1,108 @@
+import { isSignalList, recordReading, resolveLevel } from './readings.js'
+
+let replay = null
+
+// Parses a JSON Lines export into readings, oldest first. Throws on the first
+// line that is not a usable reading.
+export function parseReadingLog(text) {
+    return text.split('\n')
+        .map((line, i) => ({ line: line.trim(), number: i + 1 }))
+        .filter(({ line }) => line)
+        .map(({ line, number }) => {
+            let row
+            try {
+                row = JSON.parse(line)
+            } catch {
+                throw new Error(`Line ${number} is not valid JSON`)
+            }
+            if (!row || !row.id || !isSignalList(row.signals) || !row.date || isNaN(new Date(row.date))) {
+                throw new Error(`Line ${number} is not a device reading`)
+            }
+            return row
+        })
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+}
+
+// Re-ingests one logged reading. Levels that were inferred are inferred again,
+// so changes to the level detection show up in a replay. Returns false if the
+// level can no longer be inferred and the reading was skipped.
+function ingest(row, date) {
+    const levelId = row.levelSource === 'inferred' ? null : row.levelId
+    const reading = {
+        id: row.id,
+        name: row.name,
+        signals: row.signals,
+        date,
+        truePosition: row.truePosition ?? null,
+        ...resolveLevel(row.signals, levelId)
+    }
+    if (!reading.levelId) {
+        return false
+    }
+    recordReading(reading)
+    return true
+}
+
+export function getReplayState() {
+    if (!replay) {
+        return { running: false }
+    }
+    const { rows, played, skipped, speed, dates, startedAt } = replay
+    return {
+        running: Boolean(replay.timer),
+        total: rows.length,
+        played,
+        skipped,
+        speed,
+        dates,
+        startedAt: startedAt.toISOString()
+    }
+}
+
+// Plays the readings back with their original spacing divided by `speed`.
+// With dates 'shift' each reading is stamped with the time it is replayed at,
+// so it shows up as live; with 'original' the logged timestamps are kept,
+// which suits replaying into an empty store for a regression check.
+// Returns false if a replay is already running.
+export function startReplay(rows, { speed = 1, dates = 'shift' } = {}) {
+    if (replay?.timer) {
+        return false
+    }
+    const first = rows.length ? new Date(rows[0].date).getTime() : 0
+    replay = { rows, played: 0, skipped: 0, speed, dates, startedAt: new Date(), timer: null }
+
+    const current = replay
+    const playDue = () => {
+        const elapsed = Date.now() - current.startedAt.getTime()
+        while (current.played < rows.length) {
+            const row = rows[current.played]
+            const offset = (new Date(row.date).getTime() - first) / speed
+            if (offset > elapsed) break
+            const date = dates === 'original' ? row.date : new Date(current.startedAt.getTime() + offset).toISOString()
+            try {
+                if (!ingest(row, date)) {
+                    current.skipped++
+                }
+            } catch (error) {
+                console.error('Replaying reading failed:', error)
+                current.skipped++
+            }
+            current.played++
+        }
+        if (current.played < rows.length) {
+            const next = (new Date(rows[current.played].date).getTime() - first) / speed
+            current.timer = setTimeout(playDue, next - (Date.now() - current.startedAt.getTime()))
+        } else {
+            current.timer = null
+        }
+    }
+    current.timer = setTimeout(playDue, 0)
+    return true
+}
+
+export function stopReplay() {
+    if (replay?.timer) {
+        clearTimeout(replay.timer)
+        replay.timer = null
+    }
+}
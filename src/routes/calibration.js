@@ -0,0 +1,49 @@
+import express from 'express'
+import { levels, referencePoints } from '../db.js'
+import { addReferencePoint, calibrateLevel, removeReferencePoint } from '../calibration.js'
+import { relocateLevel } from '../positions.js'
+import { isSignalList } from '../readings.js'
+
+const router = express.Router()
+
+router.get('/reference-points', (req, res) => {
+    const { levelId } = req.query
+    if (levelId) {
+        res.json(referencePoints.filter(point => point.levelId === levelId))
+    } else {
+        res.json(referencePoints)
+    }
+})
+
+router.post('/reference-points', (req, res) => {
+    const { levelId, x, y, signals, date, deviceId } = req.body ?? {}
+    if (!levels.find(level => level.id === levelId) || !Number.isFinite(x) || !Number.isFinite(y) ||
+        !isSignalList(signals) || !signals.length || (date && isNaN(new Date(date)))) {
+        return res.status(400).send('Invalid reference point data')
+    }
+    res.status(201).json(addReferencePoint({ levelId, x, y, signals, date, deviceId }))
+})
+
+router.delete('/reference-points/:id', (req, res) => {
+    if (!removeReferencePoint(req.params.id)) {
+        return res.status(404).send('Reference point not found')
+    }
+    res.sendStatus(204)
+})
+
+router.post('/calibration', (req, res) => {
+    const { levelId, apply } = req.body ?? {}
+    if (!levels.find(level => level.id === levelId)) {
+        return res.status(404).send('Level not found')
+    }
+    if (!referencePoints.some(point => point.levelId === levelId)) {
+        return res.status(400).send('No reference points recorded for this level')
+    }
+    const result = calibrateLevel(levelId, { apply: apply === true })
+    if (result.applied) {
+        relocateLevel(levelId)
+    }
+    res.json(result)
+})
+
+export default router
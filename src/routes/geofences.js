@@ -0,0 +1,103 @@
+import express from 'express'
+import { geofenceRules, levels, rooms, zones } from '../db.js'
+import { addRule, addZone, getAlerts, removeRule, removeZone, RULE_TYPES } from '../geofences.js'
+import { parseLimit, parseRange } from './params.js'
+import { isPolygon } from '../../shared/positioning.js'
+
+const router = express.Router()
+
+router.get('/zones', (req, res) => {
+    const { levelId } = req.query
+    res.json(levelId ? zones.filter(zone => zone.levelId === levelId) : zones)
+})
+
+// A zone is a room, a polygon of [x, y] points on a level, a whole level
+// (levelId only) or the whole building (neither).
+router.post('/zones', (req, res) => {
+    const { name, levelId, roomId, polygon } = req.body ?? {}
+    if (!name || typeof name !== 'string') {
+        return res.status(400).send('Zone name is required')
+    }
+    if (roomId && polygon) {
+        return res.status(400).send('A zone is either a room or a polygon')
+    }
+    if (roomId) {
+        const room = rooms.find(r => r.id === roomId)
+        if (!room) {
+            return res.status(404).send('Room not found')
+        }
+        if (levelId && levelId !== room.levelId) {
+            return res.status(400).send('Room is not on the given level')
+        }
+    }
+    if (polygon !== undefined) {
+        if (!isPolygon(polygon)) {
+            return res.status(400).send('Polygon must be at least three [x, y] points')
+        }
+        if (!levelId) {
+            return res.status(400).send('A polygon zone needs a levelId')
+        }
+    }
+    if (levelId && !levels.find(level => level.id === levelId)) {
+        return res.status(404).send('Level not found')
+    }
+    res.status(201).json(addZone({ name, levelId, roomId, polygon }))
+})
+
+router.delete('/zones/:id', (req, res) => {
+    if (!zones.find(zone => zone.id === req.params.id)) {
+        return res.status(404).send('Zone not found')
+    }
+    if (geofenceRules.some(rule => rule.zoneId === req.params.id)) {
+        return res.status(409).send('Zone is still used by geofence rules')
+    }
+    removeZone(req.params.id)
+    res.sendStatus(204)
+})
+
+router.get('/geofence-rules', (req, res) => {
+    const { zoneId } = req.query
+    res.json(zoneId ? geofenceRules.filter(rule => rule.zoneId === zoneId) : geofenceRules)
+})
+
+// Without a deviceId the rule applies to every device.
+router.post('/geofence-rules', (req, res) => {
+    const { zoneId, type, deviceId, dwellMinutes } = req.body ?? {}
+    if (!RULE_TYPES.includes(type)) {
+        return res.status(400).send(`Rule type must be one of: ${RULE_TYPES.join(', ')}`)
+    }
+    if (!zones.find(zone => zone.id === zoneId)) {
+        return res.status(404).send('Zone not found')
+    }
+    if (deviceId !== undefined && (typeof deviceId !== 'string' || !deviceId)) {
+        return res.status(400).send('deviceId must be a device id')
+    }
+    if (type === 'dwell' && !(Number.isFinite(dwellMinutes) && dwellMinutes > 0)) {
+        return res.status(400).send('Dwell rules need dwellMinutes above 0')
+    }
+    res.status(201).json(addRule({ zoneId, type, deviceId, dwellMinutes }))
+})
+
+router.delete('/geofence-rules/:id', (req, res) => {
+    if (!removeRule(req.params.id)) {
+        return res.status(404).send('Rule not found')
+    }
+    res.sendStatus(204)
+})
+
+// Raised alerts, newest first
+router.get('/alerts', (req, res) => {
+    const range = parseRange(req.query)
+    if (!range) {
+        return res.status(400).send('Invalid date range')
+    }
+    const limit = parseLimit(req.query)
+    if (limit === null) {
+        return res.status(400).send('limit must be a positive integer')
+    }
+    const { deviceId, zoneId, ruleId } = req.query
+    const found = getAlerts({ deviceId, zoneId, ruleId, ...range })
+    res.json(limit ? found.slice(0, limit) : found)
+})
+
+export default router
@@ -0,0 +1,75 @@
+import express from 'express'
+import {
+    createLayoutItem, deleteLayoutItem, findLayoutItem, LAYOUT_RESOURCES, replaceLayoutItem, updateLayoutItem,
+    validateLayoutFields
+} from '../layout.js'
+
+const router = express.Router()
+
+// The same endpoints for /levels, /access-points and /rooms. Ids are
+// generated unless the body brings its own, e.g. an AP's hardware id; either
+// way they must be unique.
+Object.entries(LAYOUT_RESOURCES).forEach(([resource, { label, table }]) => {
+    router.get(`/${resource}`, (req, res) => {
+        const { levelId } = req.query
+        if (levelId && resource !== 'levels') {
+            res.json(table.filter(item => item.levelId === levelId))
+        } else {
+            res.json(table)
+        }
+    })
+
+    router.get(`/${resource}/:id`, (req, res) => {
+        const item = findLayoutItem(resource, req.params.id)
+        if (!item) {
+            return res.status(404).send(`${label} not found`)
+        }
+        res.json(item)
+    })
+
+    router.post(`/${resource}`, (req, res) => {
+        const error = validateLayoutFields(resource, req.body)
+        if (error) {
+            return res.status(400).send(error)
+        }
+        const { id } = req.body
+        if (id !== undefined && (typeof id !== 'string' || !id.trim())) {
+            return res.status(400).send('id must be a non-empty string')
+        }
+        if (id !== undefined && findLayoutItem(resource, id)) {
+            return res.status(409).send(`${label} ${id} already exists`)
+        }
+        res.status(201).json(createLayoutItem(resource, id, req.body))
+    })
+
+    const update = partial => (req, res) => {
+        const item = findLayoutItem(resource, req.params.id)
+        if (!item) {
+            return res.status(404).send(`${label} not found`)
+        }
+        const error = validateLayoutFields(resource, req.body, partial)
+        if (error) {
+            return res.status(400).send(error)
+        }
+        if (req.body.id !== undefined && req.body.id !== item.id) {
+            return res.status(400).send('id cannot be changed')
+        }
+        res.json(partial ? updateLayoutItem(resource, item, req.body) : replaceLayoutItem(resource, item, req.body))
+    }
+    router.put(`/${resource}/:id`, update(false))
+    router.patch(`/${resource}/:id`, update(true))
+
+    router.delete(`/${resource}/:id`, (req, res) => {
+        const item = findLayoutItem(resource, req.params.id)
+        if (!item) {
+            return res.status(404).send(`${label} not found`)
+        }
+        const blocked = deleteLayoutItem(resource, item)
+        if (blocked) {
+            return res.status(409).send(blocked)
+        }
+        res.sendStatus(204)
+    })
+})
+
+export default router
@@ -0,0 +1,20 @@
+// Optional `from`/`to` query parameters as Dates, or null if either is not a
+// valid date.
+export function parseRange(query) {
+    const from = query.from ? new Date(query.from) : undefined
+    const to = query.to ? new Date(query.to) : undefined
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+        return null
+    }
+    return { from, to }
+}
+
+// Optional `limit` query parameter: undefined if not given, null if it is
+// not a positive integer.
+export function parseLimit(query) {
+    if (query.limit === undefined) {
+        return undefined
+    }
+    const limit = Number(query.limit)
+    return Number.isInteger(limit) && limit > 0 ? limit : null
+}
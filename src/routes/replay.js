@@ -0,0 +1,44 @@
+import express from 'express'
+import { getReplayState, parseReadingLog, startReplay, stopReplay } from '../replay.js'
+
+const router = express.Router()
+
+// The body is a JSON Lines export as produced by GET /device-readings/export
+router.post('/replay', express.text({ type: ['application/x-ndjson', 'text/plain'], limit: '50mb' }), (req, res) => {
+    const speed = req.query.speed === undefined ? 1 : Number(req.query.speed)
+    const dates = req.query.dates || 'shift'
+    if (!Number.isFinite(speed) || speed <= 0) {
+        return res.status(400).send('Speed must be a number above 0')
+    }
+    if (!['shift', 'original'].includes(dates)) {
+        return res.status(400).send("dates must be 'shift' or 'original'")
+    }
+    if (typeof req.body !== 'string') {
+        return res.status(415).send('Send the readings as application/x-ndjson')
+    }
+
+    let rows
+    try {
+        rows = parseReadingLog(req.body)
+    } catch (error) {
+        return res.status(400).send(error.message)
+    }
+    if (!rows.length) {
+        return res.status(400).send('No readings to replay')
+    }
+    if (!startReplay(rows, { speed, dates })) {
+        return res.status(409).send('A replay is already running')
+    }
+    res.status(202).json(getReplayState())
+})
+
+router.get('/replay', (req, res) => {
+    res.json(getReplayState())
+})
+
+router.delete('/replay', (req, res) => {
+    stopReplay()
+    res.json(getReplayState())
+})
+
+export default router
@@ -1,48 +1,62 @@
 import express from 'express'
-import { accessPoints, deviceReadings, rooms, levels } from '../db.js'
+import { deviceReadings, rooms, levels } from '../db.js'
+import {
+    findReading, getDeviceHistory, getLatestReadings, getReadingsBetween, isSignalList, recordReading, resolveLevel
+} from '../readings.js'
+import { describePosition, describeTrack, locateReading } from '../positions.js'
+import { POSITIONING_METHODS, roomAdjacency } from '../../shared/positioning.js'
+import { getOccupancy, getRoomOccupancy } from '../analytics.js'
+import { parseLimit, parseRange } from './params.js'
 
 const router = express.Router()
 
-router.get('/levels', (req, res) => {
-    res.json(levels)
-})
-
-router.get('/access-points', (req, res) => {
-    const { levelId } = req.query
-    if (levelId) {
-        const filtered = accessPoints.filter(ap => ap.levelId === levelId)
-        res.json(filtered)
-    } else {
-        res.json(accessPoints)
+function parseReading(body) {
+    const { id, name, signals, date, levelId } = body ?? {}
+    if (!id || !isSignalList(signals) || !date || isNaN(new Date(date))) {
+        return null
     }
-})
+    return { id, name, signals, date, ...resolveLevel(signals, levelId) }
+}
 
 router.post('/device-readings', (req, res) => {
-    const { id, name, signals, date, levelId } = req.body
-    if (!id || !signals || !date || !levelId) {
+    const reading = parseReading(req.body)
+    if (!reading) {
         return res.status(400).send('Invalid device reading data')
     }
-    const newReading = { id, name, signals, date, levelId }
-    deviceReadings.push(newReading)
+    if (!reading.levelId) {
+        return res.status(400).send('Could not infer the level from the signals; provide levelId')
+    }
+    if (findReading(reading.id, reading.date)) {
+        return res.status(409).send('A reading for this device and date already exists')
+    }
+    recordReading(reading)
     res.sendStatus(201)
 })
 
 router.put('/device-readings', (req, res) => {
-    const { id, name, signals, date, levelId } = req.body
-    if (!id || !signals || !date || !levelId) {
+    const reading = parseReading(req.body)
+    if (!reading) {
         return res.status(400).send('Invalid device reading data')
     }
-    const index = deviceReadings.findIndex(d => d.id === id)
-    if (index === -1) {
-        deviceReadings.push({ id, name, signals, date, levelId })
+    if (!reading.levelId) {
+        return res.status(400).send('Could not infer the level from the signals; provide levelId')
+    }
+    if (recordReading(reading)) {
         return res.sendStatus(201)
     }
-    deviceReadings[index] = { id, name, signals, date, levelId }
     res.status(200).json({ message: 'Device reading updated' })
 })
 
 router.get('/device-readings', (req, res) => {
     const { levelId } = req.query
+    if (req.query.from || req.query.to) {
+        // A time window is returned oldest first, e.g. for timeline playback
+        const range = parseRange(req.query)
+        if (!range) {
+            return res.status(400).send('Invalid date range')
+        }
+        return res.json(getReadingsBetween(range, { levelId }))
+    }
     if (levelId) {
         const filtered = deviceReadings.filter(reading => reading.levelId === levelId)
         res.json(filtered)
@@ -51,14 +65,137 @@ router.get('/device-readings', (req, res) => {
     }
 })
 
-router.get('/rooms', (req, res) => {
+// A time window of raw readings as JSON Lines, oldest first, for replay
+router.get('/device-readings/export', (req, res) => {
+    const range = parseRange(req.query)
+    if (!range) {
+        return res.status(400).send('Invalid date range')
+    }
+    const { levelId, deviceId } = req.query
+    const lines = getReadingsBetween(range, { levelId, deviceId }).map(reading => JSON.stringify(reading.toRow()))
+    res.set('Content-Type', 'application/x-ndjson')
+    res.attachment('device-readings.jsonl')
+    res.send(lines.map(line => `${line}\n`).join(''))
+})
+
+router.get('/devices', (req, res) => {
     const { levelId } = req.query
+    const current = getLatestReadings()
     if (levelId) {
-        const filtered = rooms.filter(room => room.levelId === levelId)
-        res.json(filtered)
+        res.json(current.filter(reading => reading.levelId === levelId))
     } else {
-        res.json(rooms)
+        res.json(current)
+    }
+})
+
+// History of one device, oldest first. `limit` keeps only the most recent
+// readings, e.g. for the movement trail on the map.
+router.get('/devices/:id/readings', (req, res) => {
+    const range = parseRange(req.query)
+    if (!range) {
+        return res.status(400).send('Invalid date range')
+    }
+    const limit = parseLimit(req.query)
+    if (limit === null) {
+        return res.status(400).send('limit must be a positive integer')
+    }
+    const { levelId } = req.query
+    const history = getDeviceHistory(req.params.id, range)
+        .filter(reading => !levelId || reading.levelId === levelId)
+    res.json(limit ? history.slice(-limit) : history)
+})
+
+function parseMethod(query) {
+    const { method } = query
+    if (method && !POSITIONING_METHODS.includes(method)) {
+        return null
+    }
+    return { method }
+}
+
+// `method` recomputes positions with the given positioning method instead of
+// returning the stored ones, to compare methods on the same readings.
+router.get('/devices/:id/position', (req, res) => {
+    const options = parseMethod(req.query)
+    if (!options) {
+        return res.status(400).send(`method must be one of: ${POSITIONING_METHODS.join(', ')}`)
+    }
+    const [latest] = getLatestReadings(deviceReadings.filter(reading => reading.id === req.params.id))
+    if (!latest) {
+        return res.status(404).send('Device not found')
+    }
+    const position = options.method
+        ? describePosition(latest, locateReading(latest, options.method))
+        : describePosition(latest)
+    if (!position) {
+        return res.status(404).send('No position available for this device')
+    }
+    res.json(position)
+})
+
+router.get('/devices/:id/track', (req, res) => {
+    const history = getDeviceHistory(req.params.id)
+    if (!history.length) {
+        return res.status(404).send('Device not found')
+    }
+    const latest = history.reverse().find(reading => reading.filtered)
+    if (!latest) {
+        return res.status(404).send('No track available for this device')
+    }
+    res.json({
+        deviceId: latest.id,
+        name: latest.name,
+        date: latest.date,
+        levelId: latest.levelId,
+        ...describeTrack(latest)
+    })
+})
+
+router.get('/positions', (req, res) => {
+    const { levelId } = req.query
+    const options = parseMethod(req.query)
+    if (!options) {
+        return res.status(400).send(`method must be one of: ${POSITIONING_METHODS.join(', ')}`)
+    }
+    const positions = getLatestReadings()
+        .filter(reading => !levelId || reading.levelId === levelId)
+        .map(reading => options.method
+            ? describePosition(reading, locateReading(reading, options.method))
+            : describePosition(reading))
+        .filter(position => position)
+    res.json(positions)
+})
+
+router.get('/rooms/:id/occupancy', (req, res) => {
+    const range = parseRange(req.query)
+    if (!range) {
+        return res.status(400).send('Invalid date range')
+    }
+    const occupancy = getRoomOccupancy(req.params.id, range)
+    if (!occupancy) {
+        return res.status(404).send('Room not found')
+    }
+    res.json(occupancy)
+})
+
+// Rooms of a level that share a wall, with the middle and length of the wall
+router.get('/levels/:id/room-adjacency', (req, res) => {
+    if (!levels.find(level => level.id === req.params.id)) {
+        return res.status(404).send('Level not found')
+    }
+    res.json(roomAdjacency(rooms.filter(room => room.levelId === req.params.id)))
+})
+
+router.get('/analytics/occupancy', (req, res) => {
+    const range = parseRange(req.query)
+    if (!range) {
+        return res.status(400).send('Invalid date range')
+    }
+    const { levelId } = req.query
+    if (levelId && !levels.find(level => level.id === levelId)) {
+        return res.status(404).send('Level not found')
     }
+    res.json(getOccupancy(rooms.filter(room => !levelId || room.levelId === levelId), range))
 })
 
 export default router
\ No newline at end of file
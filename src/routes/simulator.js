@@ -0,0 +1,44 @@
+import express from 'express'
+import { getSimulatorState, MAX_SPEED, setSimulatorSpeed, startSimulator, stopSimulator } from '../simulator.js'
+
+const router = express.Router()
+
+function isValidSpeed(speed) {
+    return Number.isFinite(speed) && speed > 0 && speed <= MAX_SPEED
+}
+
+router.get('/simulator', (req, res) => {
+    res.json(getSimulatorState())
+})
+
+router.post('/simulator/start', (req, res) => {
+    const { speed } = req.body ?? {}
+    if (speed !== undefined && !isValidSpeed(speed)) {
+        return res.status(400).send(`Speed must be a number above 0 and at most ${MAX_SPEED}`)
+    }
+    if (speed !== undefined) {
+        setSimulatorSpeed(speed)
+    }
+    try {
+        startSimulator()
+    } catch (error) {
+        return res.status(409).send(error.message)
+    }
+    res.json(getSimulatorState())
+})
+
+router.post('/simulator/stop', (req, res) => {
+    stopSimulator()
+    res.json(getSimulatorState())
+})
+
+router.patch('/simulator', (req, res) => {
+    const { speed } = req.body ?? {}
+    if (!isValidSpeed(speed)) {
+        return res.status(400).send(`Speed must be a number above 0 and at most ${MAX_SPEED}`)
+    }
+    setSimulatorSpeed(speed)
+    res.json(getSimulatorState())
+})
+
+export default router
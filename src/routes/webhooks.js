@@ -0,0 +1,68 @@
+import express from 'express'
+import { webhooks } from '../db.js'
+import { addWebhook, describeWebhook, getDeliveries, removeWebhook, WEBHOOK_EVENTS } from '../webhooks.js'
+import { parseLimit } from './params.js'
+
+const router = express.Router()
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed']
+
+function isHttpUrl(value) {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol)
+    } catch {
+        return false
+    }
+}
+
+router.get('/webhooks', (req, res) => {
+    res.json(webhooks.map(describeWebhook))
+})
+
+router.post('/webhooks', (req, res) => {
+    const { url, events, secret } = req.body ?? {}
+    if (typeof url !== 'string' || !isHttpUrl(url)) {
+        return res.status(400).send('url must be an http(s) URL')
+    }
+    if (!Array.isArray(events) || !events.length || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+        return res.status(400).send(`events must be a list of: ${WEBHOOK_EVENTS.join(', ')}`)
+    }
+    if (!secret || typeof secret !== 'string') {
+        return res.status(400).send('A secret is required to sign deliveries')
+    }
+    res.status(201).json(describeWebhook(addWebhook({ url, events: [...new Set(events)], secret })))
+})
+
+router.get('/webhooks/:id', (req, res) => {
+    const webhook = webhooks.find(w => w.id === req.params.id)
+    if (!webhook) {
+        return res.status(404).send('Webhook not found')
+    }
+    res.json(describeWebhook(webhook))
+})
+
+router.delete('/webhooks/:id', (req, res) => {
+    if (!removeWebhook(req.params.id)) {
+        return res.status(404).send('Webhook not found')
+    }
+    res.sendStatus(204)
+})
+
+// Delivery log, newest first
+router.get('/webhooks/:id/deliveries', (req, res) => {
+    if (!webhooks.find(w => w.id === req.params.id)) {
+        return res.status(404).send('Webhook not found')
+    }
+    const { status } = req.query
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).send(`status must be one of: ${DELIVERY_STATUSES.join(', ')}`)
+    }
+    const limit = parseLimit(req.query)
+    if (limit === null) {
+        return res.status(400).send('limit must be a positive integer')
+    }
+    const deliveries = getDeliveries(req.params.id, { status })
+    res.json(limit ? deliveries.slice(0, limit) : deliveries)
+})
+
+export default router
@@ -1,24 +1,73 @@
 import express from 'express'
 import path, { dirname } from 'path'
 import { fileURLToPath } from 'url'
-import { accessPoints, deviceReadings } from './db.js'
+import { loadStore } from './db.js'
+import events from './events.js'
+import { startGeofences } from './geofences.js'
+import { rebuildTracks } from './tracking.js'
+import { startWebhooks } from './webhooks.js'
 import routes from './routes/routes.js'
+import layoutRoutes from './routes/layout.js'
+import calibrationRoutes from './routes/calibration.js'
+import simulatorRoutes from './routes/simulator.js'
+import replayRoutes from './routes/replay.js'
+import geofenceRoutes from './routes/geofences.js'
+import webhookRoutes from './routes/webhooks.js'
 
 const app = express()
 const PORT = process.env.PORT || 8383
 
+loadStore()
+rebuildTracks()
+startGeofences()
+startWebhooks()
+
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
 
 app.use(express.static(path.join(__dirname, '../public')))
+app.use('/shared', express.static(path.join(__dirname, '../shared')))
 app.use(express.json())
 
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'))
 })
 
+// Live updates via Server-Sent Events
+app.get('/stream', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+    })
+    res.flushHeaders()
+
+    const onReading = ({ reading }) => {
+        res.write(`event: reading\ndata: ${JSON.stringify(reading)}\n\n`)
+    }
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 25000)
+
+    events.on('reading', onReading)
+    req.on('close', () => {
+        clearInterval(heartbeat)
+        events.off('reading', onReading)
+    })
+})
+
 // Routes
 app.use('/', routes)
+app.use('/', layoutRoutes)
+app.use('/', calibrationRoutes)
+app.use('/', simulatorRoutes)
+app.use('/', replayRoutes)
+app.use('/', geofenceRoutes)
+app.use('/', webhookRoutes)
+
+// Store writes are batched (see db.js) and flushed on exit, which a signal
+// would otherwise skip
+process.on('SIGINT', () => process.exit())
+process.on('SIGTERM', () => process.exit())
 
 app.listen(PORT, () => { 
     console.log(`Server has started on ${PORT}`) 
@@ -0,0 +1,62 @@
+import { accessPoints, deviceReadings } from './db.js'
+import { signalProcessing } from './config.js'
+import { rejectOutliers, signalsToPoints } from '../shared/positioning.js'
+
+function aboveNoiseFloor(signals) {
+    return signals.filter(s => s.rssi >= signalProcessing.noiseFloor)
+}
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b)
+    const middle = Math.floor(sorted.length / 2)
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length
+}
+
+// Replaces each AP's RSSI by the median or mean over this reading and the
+// device's previous readings on the same level, up to the configured window.
+function smooth(reading, signals, history) {
+    const { smoothing, window } = signalProcessing
+    if (smoothing === 'none' || window <= 1) {
+        return signals
+    }
+
+    const date = new Date(reading.date)
+    const previous = history
+        .filter(r => r.id === reading.id && r.levelId === reading.levelId && new Date(r.date) < date)
+        .sort((a, b) => new Date(b.date) - new Date(a.date))
+        .slice(0, window - 1)
+        .map(r => aboveNoiseFloor(r.signals))
+
+    const aggregate = smoothing === 'mean' ? mean : median
+    return signals.map(s => {
+        const history = previous.flatMap(signalsBefore => signalsBefore.filter(p => p.apId === s.apId).map(p => p.rssi))
+        return { apId: s.apId, rssi: aggregate([s.rssi, ...history]) }
+    })
+}
+
+// Drops signals from APs on the reading's level whose implied distance is
+// inconsistent with the others. Signals from other APs are left alone.
+function dropInconsistent(reading, signals) {
+    if (!signalProcessing.outlierRejection) {
+        return signals
+    }
+    const levelAccessPoints = accessPoints.filter(ap => ap.levelId === reading.levelId)
+    const onLevel = signals.filter(s => levelAccessPoints.some(ap => ap.id === s.apId))
+    const points = signalsToPoints(levelAccessPoints, onLevel)
+    const inliers = new Set(rejectOutliers(points, signalProcessing.outlierTolerance))
+    return signals.filter(s => {
+        const index = onLevel.indexOf(s)
+        return index === -1 || inliers.has(points[index])
+    })
+}
+
+// Pre-processing applied to a reading's raw signals before positioning:
+// noise floor, per-AP smoothing over recent readings, then outlier rejection.
+// The recent readings come from the store unless another history is given.
+export function processSignals(reading, history = deviceReadings) {
+    return dropInconsistent(reading, smooth(reading, aboveNoiseFloor(reading.signals), history))
+}
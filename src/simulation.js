@@ -0,0 +1,231 @@
+import { DISTANCE_SCALE, DOOR_WIDTH, PATH_LOSS_EXPONENT, RSSI_TX_POWER, findRoomAt, isInRoom, sharedWall } from '../shared/positioning.js'
+import { createRandom, gaussian } from './random.js'
+
+export const DEMO_DEVICES = [
+    { id: 'DEV001', name: 'John' },
+    { id: 'DEV002', name: 'Alice' },
+    { id: 'DEV003', name: 'Bob' },
+    { id: 'DEV004', name: 'Charlie' },
+    { id: 'DEV005', name: 'David' },
+    { id: 'DEV006', name: 'Eva' },
+    { id: 'DEV007', name: 'Frank' },
+    { id: 'DEV008', name: 'Grace' }
+]
+
+// Weakest signal a device still hears, in dBm.
+const SENSITIVITY = -95
+// Extra loss through each floor between a device and an AP on another level, in dB.
+const FLOOR_ATTENUATION = 15
+const FLOOR_HEIGHT = 3 * DISTANCE_SCALE
+// Distances below this are clamped in the path-loss model.
+const MIN_DISTANCE = DISTANCE_SCALE / 2
+// Fraction of a room's size kept clear of its walls when picking a point in it.
+const WALL_MARGIN = 0.1
+// Tries at a random point inside a polygon room before settling for one
+// that may be close to its walls.
+const POINT_ATTEMPTS = 50
+// Bounds on how long a device lingers at a destination, in seconds.
+const MIN_DWELL = 5
+const MAX_DWELL = 60
+
+// Midpoint of the wall two rooms share, or null if they do not share enough
+// of one to walk through.
+function doorBetween(a, b) {
+    const wall = sharedWall(a, b)
+    return wall && wall.length >= DOOR_WIDTH ? { x: wall.x, y: wall.y } : null
+}
+
+// Doorways passed on the fewest-rooms route between two rooms of a level,
+// or null if the target cannot be reached.
+function findRoute(rooms, from, to) {
+    const previous = new Map([[from.id, null]])
+    const queue = [from]
+    while (queue.length) {
+        const room = queue.shift()
+        if (room.id === to.id) break
+        rooms.forEach(next => {
+            if (previous.has(next.id)) return
+            const door = doorBetween(room, next)
+            if (door) {
+                previous.set(next.id, { room, door })
+                queue.push(next)
+            }
+        })
+    }
+    if (!previous.has(to.id)) return null
+
+    const doors = []
+    for (let step = previous.get(to.id); step; step = previous.get(step.room.id)) {
+        doors.unshift(step.door)
+    }
+    return doors
+}
+
+// Demo devices walking between the rooms of each level. Each step moves them
+// along their paths and produces one reading per device, with RSSI computed
+// from the path-loss model at the device's true position plus Gaussian noise.
+// The level, room and access point arrays are read on every step, so edits to
+// the floor plan take effect while a simulation runs.
+export class Simulation {
+    constructor({
+        levels, rooms, accessPoints, devices = DEMO_DEVICES,
+        seed = 'simulation', noise = 2, walkingSpeed = 1.2, levelChange = 0.1
+    }) {
+        this.levels = levels
+        this.rooms = rooms
+        this.accessPoints = accessPoints
+        this.random = createRandom(seed)
+        this.noise = noise
+        this.walkingSpeed = walkingSpeed
+        this.levelChange = levelChange
+
+        const walkable = this.walkableLevels()
+        if (!walkable.length) {
+            throw new Error('No level has rooms to walk through')
+        }
+        // Spread the devices over the levels to begin with
+        this.devices = devices.map((device, i) => {
+            const room = this.pick(this.roomsOn(walkable[i % walkable.length].id))
+            return {
+                id: device.id,
+                name: device.name,
+                levelId: room.levelId,
+                ...this.pointIn(room),
+                roomId: room.id,
+                path: [],
+                dwell: this.dwellTime()
+            }
+        })
+    }
+
+    walkableLevels() {
+        return this.levels.filter(level => this.rooms.some(room => room.levelId === level.id))
+    }
+
+    roomsOn(levelId) {
+        return this.rooms.filter(room => room.levelId === levelId)
+    }
+
+    pick(items) {
+        return items[Math.floor(this.random() * items.length)]
+    }
+
+    // A random point in a room, away from its walls. Polygon rooms are
+    // sampled within their bounding box until a point lands inside, with
+    // its neighbours a margin away inside too.
+    pointIn(room) {
+        const inBounds = () => ({
+            x: room.x + room.width * (WALL_MARGIN + this.random() * (1 - 2 * WALL_MARGIN)),
+            y: room.y + room.height * (WALL_MARGIN + this.random() * (1 - 2 * WALL_MARGIN))
+        })
+        if (!room.polygon) {
+            return inBounds()
+        }
+        const margin = Math.min(room.width, room.height) * WALL_MARGIN
+        const clear = ({ x, y }) => [[0, 0], [margin, 0], [-margin, 0], [0, margin], [0, -margin]]
+            .every(([dx, dy]) => isInRoom(x + dx, y + dy, room))
+        let fallback = null
+        for (let i = 0; i < POINT_ATTEMPTS; i++) {
+            const point = inBounds()
+            if (clear(point)) return point
+            if (!fallback && isInRoom(point.x, point.y, room)) fallback = point
+        }
+        const [x, y] = room.polygon[0]
+        return fallback ?? { x, y }
+    }
+
+    dwellTime() {
+        return MIN_DWELL + this.random() * (MAX_DWELL - MIN_DWELL)
+    }
+
+    // Picks the next destination and the doorways on the way to it. Now and
+    // then the device takes the stairs instead and reappears on another level.
+    chooseDestination(device) {
+        const walkable = this.walkableLevels()
+        if (!walkable.length) return
+
+        const here = this.roomsOn(device.levelId)
+        const elsewhere = walkable.filter(level => level.id !== device.levelId)
+        if (!here.length || (elsewhere.length && this.random() < this.levelChange)) {
+            const room = this.pick(this.roomsOn(this.pick(elsewhere.length ? elsewhere : walkable).id))
+            Object.assign(device, { levelId: room.levelId }, this.pointIn(room))
+            device.path = [this.pointIn(room)]
+            return
+        }
+
+        const from = findRoomAt(device.x, device.y, here)
+        const to = this.pick(here)
+        const doors = from ? findRoute(here, from, to) : []
+        device.path = doors ? [...doors, this.pointIn(to)] : [this.pointIn(from)]
+    }
+
+    walk(device, seconds) {
+        const speed = this.walkingSpeed * DISTANCE_SCALE
+        if (!(speed > 0)) return
+
+        let remaining = seconds
+        while (remaining > 0) {
+            if (device.dwell > 0) {
+                const waited = Math.min(device.dwell, remaining)
+                device.dwell -= waited
+                remaining -= waited
+            } else if (!device.path.length) {
+                this.chooseDestination(device)
+                if (!device.path.length) {
+                    device.dwell = this.dwellTime()
+                }
+            } else {
+                const target = device.path[0]
+                const gap = Math.hypot(target.x - device.x, target.y - device.y)
+                const distance = Math.min(gap, speed * remaining)
+                if (gap > 0) {
+                    device.x += (target.x - device.x) * distance / gap
+                    device.y += (target.y - device.y) * distance / gap
+                }
+                remaining -= distance / speed
+                if (distance === gap) {
+                    device.path.shift()
+                    if (!device.path.length) {
+                        device.dwell = this.dwellTime()
+                    }
+                }
+            }
+        }
+        device.roomId = findRoomAt(device.x, device.y, this.roomsOn(device.levelId))?.id ?? null
+    }
+
+    // RSSI from every AP the device can hear. APs on other levels are heard
+    // through the floors in between, which is what level inference relies on.
+    signalsAt(device) {
+        const level = this.levels.find(l => l.id === device.levelId)
+        return this.accessPoints
+            .map(ap => {
+                const apLevel = this.levels.find(l => l.id === ap.levelId)
+                const floors = level && apLevel ? Math.abs(apLevel.floorNumber - level.floorNumber) : 0
+                const distance = Math.max(Math.hypot(ap.x - device.x, ap.y - device.y, floors * FLOOR_HEIGHT), MIN_DISTANCE)
+                const tx = ap.txPower ?? RSSI_TX_POWER
+                const n = ap.pathLossExponent ?? PATH_LOSS_EXPONENT
+                const rssi = tx - 10 * n * Math.log10(distance / DISTANCE_SCALE) - floors * FLOOR_ATTENUATION +
+                    gaussian(this.random) * this.noise
+                return { apId: ap.id, rssi: Math.round(rssi) }
+            })
+            .filter(s => s.rssi >= SENSITIVITY)
+            .sort((a, b) => b.rssi - a.rssi)
+    }
+
+    // Advances every device by the given number of seconds and returns their
+    // readings, each with the true position it was taken at.
+    step(seconds, date = new Date()) {
+        return this.devices.map(device => {
+            this.walk(device, seconds)
+            return {
+                id: device.id,
+                name: device.name,
+                signals: this.signalsAt(device),
+                date: date.toISOString(),
+                levelId: device.levelId,
+                truePosition: { x: device.x, y: device.y, levelId: device.levelId, roomId: device.roomId }
+            }
+        })
+    }
+}
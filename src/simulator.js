@@ -0,0 +1,50 @@
+import { accessPoints, levels, rooms } from './db.js'
+import { simulator as settings } from './config.js'
+import { recordReadings } from './readings.js'
+import { Simulation } from './simulation.js'
+
+// Upper bound on the speed multiplier accepted from clients.
+export const MAX_SPEED = 100
+
+let simulation = null
+let timer = null
+let speed = 1
+
+// Each round moves the devices by the real interval times the speed
+// multiplier and records one reading per device, stamped with the real time,
+// all stored together.
+function tick() {
+    try {
+        recordReadings(simulation.step(settings.interval / 1000 * speed))
+    } catch (error) {
+        console.error('Simulator round failed:', error)
+    }
+}
+
+export function getSimulatorState() {
+    return {
+        running: Boolean(timer),
+        speed,
+        interval: settings.interval,
+        devices: simulation
+            ? simulation.devices.map(({ id, name, levelId, x, y, roomId }) => ({ id, name, levelId, x, y, roomId }))
+            : []
+    }
+}
+
+export function setSimulatorSpeed(value) {
+    speed = value
+}
+
+// Devices keep their positions across a stop and start. Throws if no level
+// has rooms to walk through.
+export function startSimulator() {
+    if (timer) return
+    simulation = simulation || new Simulation({ levels, rooms, accessPoints, ...settings })
+    timer = setInterval(tick, settings.interval)
+}
+
+export function stopSimulator() {
+    clearInterval(timer)
+    timer = null
+}
@@ -0,0 +1,152 @@
+import { deviceReadings, levels, rooms } from './db.js'
+import { DISTANCE_SCALE, findRoomAt } from '../shared/positioning.js'
+import { ParticleTrack } from './particles.js'
+
+export const TRACKING_METHODS = ['kalman', 'particle']
+
+// Map units per second; DISTANCE_SCALE units make one metre.
+const INITIAL_SPEED_SD = 2 * DISTANCE_SCALE
+// Spectral density of the random acceleration driving the motion model.
+const ACCELERATION_NOISE = (0.1 * DISTANCE_SCALE) ** 2
+// Lower bound on measurement variance; a fit through exactly three APs can
+// report zero covariance, which would make the filter trust it blindly.
+const MIN_MEASUREMENT_VARIANCE = DISTANCE_SCALE ** 2
+// A device unseen for this long starts a fresh track.
+const MAX_GAP_SECONDS = 300
+
+function multiply(a, b) {
+    return a.map(row => b[0].map((_, j) => row.reduce((sum, value, k) => sum + value * b[k][j], 0)))
+}
+
+function transpose(a) {
+    return a[0].map((_, j) => a.map(row => row[j]))
+}
+
+function add(a, b) {
+    return a.map((row, i) => row.map((value, j) => value + b[i][j]))
+}
+
+function subtract(a, b) {
+    return a.map((row, i) => row.map((value, j) => value - b[i][j]))
+}
+
+function invert2x2([[a, b], [c, d]]) {
+    const det = a * d - b * c
+    return [[d / det, -b / det], [-c / det, a / det]]
+}
+
+const H = [[1, 0, 0, 0], [0, 1, 0, 0]]
+const I4 = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]]
+
+// Constant-velocity Kalman filter over the state [x, y, vx, vy].
+class KalmanTrack {
+    constructor(levelId, date, position) {
+        const { xx, yy } = measurementNoise(position)
+        this.method = 'kalman'
+        this.levelId = levelId
+        this.date = date
+        this.state = [[position.x], [position.y], [0], [0]]
+        this.covariance = [
+            [xx[0], 0, 0, 0],
+            [0, yy[1], 0, 0],
+            [0, 0, INITIAL_SPEED_SD ** 2, 0],
+            [0, 0, 0, INITIAL_SPEED_SD ** 2]
+        ]
+    }
+
+    predict(dt) {
+        const F = [[1, 0, dt, 0], [0, 1, 0, dt], [0, 0, 1, 0], [0, 0, 0, 1]]
+        const q = ACCELERATION_NOISE
+        const [p, c, v] = [q * dt ** 3 / 3, q * dt ** 2 / 2, q * dt]
+        const Q = [[p, 0, c, 0], [0, p, 0, c], [c, 0, v, 0], [0, c, 0, v]]
+        this.state = multiply(F, this.state)
+        this.covariance = add(multiply(multiply(F, this.covariance), transpose(F)), Q)
+    }
+
+    update(position) {
+        const { xx, yy } = measurementNoise(position)
+        const R = [xx, yy]
+        const innovation = subtract([[position.x], [position.y]], multiply(H, this.state))
+        const S = add(multiply(multiply(H, this.covariance), transpose(H)), R)
+        const K = multiply(multiply(this.covariance, transpose(H)), invert2x2(S))
+        this.state = add(this.state, multiply(K, innovation))
+        this.covariance = multiply(subtract(I4, multiply(K, H)), this.covariance)
+    }
+
+    estimate() {
+        const [[x], [y], [vx], [vy]] = this.state
+        const P = this.covariance
+        return { x, y, vx, vy, covariance: { xx: P[0][0], xy: P[0][1], yy: P[1][1] } }
+    }
+}
+
+// Measurement covariance as matrix rows, with the variance floor applied.
+export function measurementNoise(position) {
+    const c = position.covariance || { xx: 0, xy: 0, yy: 0 }
+    return {
+        xx: [Math.max(c.xx, MIN_MEASUREMENT_VARIANCE), c.xy],
+        yy: [c.xy, Math.max(c.yy, MIN_MEASUREMENT_VARIANCE)]
+    }
+}
+
+const tracks = new Map()
+
+function createTrack(method, reading, position, date) {
+    if (method === 'particle') {
+        const levelRooms = rooms.filter(room => room.levelId === reading.levelId)
+        return new ParticleTrack(reading.levelId, date, position, levelRooms, reading.id)
+    }
+    return new KalmanTrack(reading.levelId, date, position)
+}
+
+// Fuses a reading's position into its device's track in `trackMap` with the
+// given tracker type and returns the smoothed estimate. A new track is started
+// when the device changed level or tracker, or was unseen for too long.
+// Readings must arrive in date order per device.
+export function fusePosition(trackMap, reading, position, method) {
+    const date = new Date(reading.date)
+    let track = trackMap.get(reading.id)
+    const dt = track ? (date - track.date) / 1000 : 0
+    if (!track || track.levelId !== reading.levelId || track.method !== method || dt > MAX_GAP_SECONDS) {
+        track = createTrack(method, reading, position, date)
+        trackMap.set(reading.id, track)
+    } else {
+        track.predict(dt)
+        track.update(position)
+        track.date = date
+    }
+
+    const estimate = track.estimate()
+    const room = findRoomAt(estimate.x, estimate.y, rooms.filter(r => r.levelId === reading.levelId))
+    return { ...estimate, roomId: room ? room.id : null, method }
+}
+
+// Stores the smoothed estimate of a reading's live track on the reading as
+// `filtered`. The tracker type follows the trackingMethod of the reading's
+// level; use rebuildTracks for anything older than the current track.
+function advanceTrack(reading) {
+    const method = levels.find(level => level.id === reading.levelId)?.trackingMethod || 'kalman'
+    reading.filtered = reading.position ? fusePosition(tracks, reading, reading.position, method) : null
+}
+
+// Replays the stored history of the given devices (all devices by default)
+// through fresh filters.
+export function rebuildTracks(deviceIds) {
+    const ids = deviceIds ? new Set(deviceIds) : null
+    const history = deviceReadings
+        .filter(reading => !ids || ids.has(reading.id))
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+    history.forEach(reading => tracks.delete(reading.id))
+    history.forEach(advanceTrack)
+}
+
+// Fuses a newly written reading. A reading that is not newer than the track
+// (late arrival or a replaced sample) rebuilds that device's track instead.
+export function trackReading(reading) {
+    const track = tracks.get(reading.id)
+    if (track && new Date(reading.date) <= track.date) {
+        rebuildTracks([reading.id])
+    } else {
+        advanceTrack(reading)
+    }
+}
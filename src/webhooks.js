@@ -0,0 +1,207 @@
+import crypto from 'crypto'
+import { nextId, rooms, save, Webhook, webhookDeliveries, WebhookDelivery, webhooks } from './db.js'
+import { webhooks as settings } from './config.js'
+import events from './events.js'
+import { roomIdOf } from './positions.js'
+import { getLatestReadings } from './readings.js'
+
+export const WEBHOOK_EVENTS = ['device.seen', 'device.moved', 'device.level_changed', 'geofence.triggered']
+
+// Pending retries by delivery id, so deleting a webhook can cancel them.
+const retries = new Map()
+
+// Level and room each device was last seen in, to tell when it moves.
+const lastSeen = new Map()
+
+// Value of the X-Webhook-Signature header: the HMAC-SHA256, keyed with the
+// webhook's secret and hex encoded, of the X-Webhook-Timestamp value, a dot
+// and the raw request body. Receivers recompute it to check that a request
+// came from this server, and reject old timestamps so that a captured request
+// cannot be replayed.
+export function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+}
+
+// API representation of a webhook; the secret is never sent back.
+export function describeWebhook(webhook) {
+    const { secret, ...rest } = webhook.toRow()
+    return rest
+}
+
+// Drops the oldest finished deliveries beyond the configured log size.
+function pruneLog() {
+    let excess = webhookDeliveries.length - settings.logSize
+    for (let i = 0; i < webhookDeliveries.length && excess > 0;) {
+        if (webhookDeliveries[i].status === 'pending') {
+            i++
+        } else {
+            webhookDeliveries.splice(i, 1)
+            excess--
+        }
+    }
+}
+
+function schedule(delivery) {
+    const delay = Math.max(0, new Date(delivery.nextAttemptAt) - Date.now())
+    retries.set(delivery.id, setTimeout(() => send(delivery), delay))
+}
+
+// Starts an attempt; anything it throws is logged rather than left as an
+// unhandled rejection.
+function send(delivery) {
+    attempt(delivery).catch(error => {
+        console.error(`Webhook delivery ${delivery.id} failed:`, error)
+    })
+}
+
+// Posts a delivery once. A 2xx response delivers it; anything else, including
+// a network error or timeout, is retried with exponential backoff until the
+// attempts run out.
+async function attempt(delivery) {
+    retries.delete(delivery.id)
+    const webhook = webhooks.find(w => w.id === delivery.webhookId)
+    if (!webhook || delivery.status !== 'pending') return
+
+    const body = JSON.stringify(delivery.payload)
+    const timestamp = Math.floor(Date.now() / 1000)
+    delivery.attempts += 1
+    delivery.lastAttemptAt = new Date().toISOString()
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Webhook-Id': webhook.id,
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': delivery.id,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+            },
+            body,
+            signal: AbortSignal.timeout(settings.timeout)
+        })
+        delivery.responseStatus = response.status
+        delivery.error = response.ok ? null : `HTTP ${response.status}`
+    } catch (error) {
+        delivery.responseStatus = null
+        delivery.error = error.cause?.message ?? error.message
+    }
+
+    if (!delivery.error) {
+        delivery.status = 'delivered'
+        delivery.nextAttemptAt = null
+    } else if (delivery.attempts >= settings.maxAttempts) {
+        delivery.status = 'failed'
+        delivery.nextAttemptAt = null
+    } else {
+        const delay = settings.retryDelay * 2 ** (delivery.attempts - 1)
+        delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString()
+        schedule(delivery)
+    }
+    save()
+}
+
+// Queues an event for every webhook subscribed to it and sends it right away.
+// Like every change to the log, the new deliveries are stored with the next
+// batched write (see db.js).
+function dispatch(event, data) {
+    const subscribed = webhooks.filter(webhook => webhook.events.includes(event))
+    if (!subscribed.length) return
+
+    const date = new Date().toISOString()
+    const queued = subscribed.map(webhook => {
+        const id = nextId('WHD', webhookDeliveries)
+        const delivery = new WebhookDelivery(id, webhook.id, event, { id, event, date, data })
+        webhookDeliveries.push(delivery)
+        return delivery
+    })
+    pruneLog()
+    save()
+    queued.forEach(send)
+}
+
+function describeRoom(roomId) {
+    const room = rooms.find(r => r.id === roomId)
+    return room ? { id: room.id, name: room.name } : null
+}
+
+function deviceEvent(reading, roomId) {
+    const estimate = reading.filtered || reading.position
+    return {
+        deviceId: reading.id,
+        name: reading.name,
+        date: reading.date,
+        levelId: reading.levelId,
+        room: describeRoom(roomId),
+        x: estimate?.x ?? null,
+        y: estimate?.y ?? null
+    }
+}
+
+// Only new readings that are later than the device's last one count; a
+// reading that could not be located keeps the device in its last room, unless
+// it is on another level now.
+function onReading({ reading, created }) {
+    const previous = lastSeen.get(reading.id)
+    if (!created || (previous && new Date(reading.date) <= new Date(previous.date))) return
+
+    const located = Boolean(reading.filtered || reading.position)
+    const stayed = previous && previous.levelId === reading.levelId
+    const roomId = located ? roomIdOf(reading) : stayed ? previous.roomId : null
+    lastSeen.set(reading.id, { date: reading.date, levelId: reading.levelId, roomId })
+
+    const data = deviceEvent(reading, roomId)
+    dispatch('device.seen', data)
+    if (previous && previous.levelId !== reading.levelId) {
+        dispatch('device.level_changed', { ...data, fromLevelId: previous.levelId })
+    }
+    if (previous && previous.roomId !== roomId) {
+        dispatch('device.moved', { ...data, fromRoom: describeRoom(previous.roomId) })
+    }
+}
+
+export function addWebhook({ url, events, secret }) {
+    const webhook = new Webhook(nextId('WHK', webhooks), url, events, secret, new Date().toISOString())
+    webhooks.push(webhook)
+    save()
+    return webhook
+}
+
+// Removes a webhook together with its delivery log and pending retries.
+export function removeWebhook(id) {
+    const index = webhooks.findIndex(webhook => webhook.id === id)
+    if (index === -1) {
+        return false
+    }
+    webhooks.splice(index, 1)
+    for (let i = webhookDeliveries.length - 1; i >= 0; i--) {
+        const delivery = webhookDeliveries[i]
+        if (delivery.webhookId === id) {
+            clearTimeout(retries.get(delivery.id))
+            retries.delete(delivery.id)
+            webhookDeliveries.splice(i, 1)
+        }
+    }
+    save()
+    return true
+}
+
+// Delivery log of a webhook, newest first.
+export function getDeliveries(webhookId, { status } = {}) {
+    return webhookDeliveries
+        .filter(delivery => delivery.webhookId === webhookId)
+        .filter(delivery => !status || delivery.status === status)
+        .reverse()
+}
+
+// Picks up from the loaded store and starts sending events.
+export function startWebhooks() {
+    getLatestReadings().forEach(reading => {
+        lastSeen.set(reading.id, { date: reading.date, levelId: reading.levelId, roomId: roomIdOf(reading) })
+    })
+    // Deliveries still pending from before a restart pick up where they left off
+    webhookDeliveries.filter(delivery => delivery.status === 'pending').forEach(schedule)
+
+    events.on('reading', onReading)
+    events.on('alert', alert => dispatch('geofence.triggered', alert.toRow()))
+}
@@ -0,0 +1,54 @@
+import assert from 'node:assert/strict'
+import test from 'node:test'
+import { multilaterate, rejectOutliers } from '../shared/positioning.js'
+
+// Access points in the corners of a 400 x 400 square, plus one in the middle
+// of its top edge, with exact distances to a device at (100, 150).
+const DEVICE = { x: 100, y: 150 }
+const ACCESS_POINTS = [[0, 0], [400, 0], [0, 400], [400, 400], [200, 0]]
+const exact = ACCESS_POINTS.map(([x, y]) => ({ x, y, d: Math.hypot(DEVICE.x - x, DEVICE.y - y) }))
+
+function assertNear(actual, expected, tolerance) {
+    const error = Math.hypot(actual.x - expected.x, actual.y - expected.y)
+    assert.ok(error <= tolerance, `(${actual.x}, ${actual.y}) is ${error} from (${expected.x}, ${expected.y})`)
+}
+
+test('multilaterate finds the device from exact distances', () => {
+    assertNear(multilaterate(exact.slice(0, 3)), DEVICE, 0.01)
+    assertNear(multilaterate(exact.slice(0, 4)), DEVICE, 0.01)
+    assertNear(multilaterate(exact), DEVICE, 0.01)
+})
+
+test('multilaterate converges from distances that disagree', () => {
+    // Every distance 10% too long: the fit stays close and inside the square
+    const scaled = exact.map(p => ({ ...p, d: p.d * 1.1 }))
+    assertNear(multilaterate(scaled), DEVICE, 30)
+})
+
+test('multilaterate needs three access points that are not collinear', () => {
+    assert.equal(multilaterate(exact.slice(0, 2)), null)
+    const line = [0, 100, 200, 300].map(x => ({ x, y: 0, d: Math.hypot(DEVICE.x - x, DEVICE.y) }))
+    assert.equal(multilaterate(line), null)
+})
+
+test('rejectOutliers drops an access point whose distance disagrees', () => {
+    const points = exact.map((p, i) => (i === 1 ? { ...p, d: p.d * 3 } : p))
+    assert.deepEqual(rejectOutliers(points), points.filter((_, i) => i !== 1))
+})
+
+test('rejectOutliers already works with four access points', () => {
+    const points = exact.slice(0, 4).map((p, i) => (i === 3 ? { ...p, d: p.d / 3 } : p))
+    assert.deepEqual(rejectOutliers(points), points.slice(0, 3))
+})
+
+test('rejectOutliers keeps every point it cannot judge', () => {
+    const three = exact.slice(0, 3).map((p, i) => (i === 0 ? { ...p, d: p.d * 3 } : p))
+    assert.equal(rejectOutliers(three), three)
+    assert.deepEqual(rejectOutliers(exact), exact)
+})
+
+test('rejectOutliers follows the tolerance', () => {
+    const points = exact.map((p, i) => (i === 3 ? { ...p, d: p.d * 1.3 } : p))
+    assert.deepEqual(rejectOutliers(points), points)
+    assert.deepEqual(rejectOutliers(points, 0.2), points.filter((_, i) => i !== 3))
+})
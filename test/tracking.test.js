@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict'
+import test from 'node:test'
+import { Room, rooms } from '../src/db.js'
+import { ParticleTrack } from '../src/particles.js'
+import { createRandom, gaussian } from '../src/random.js'
+import { fusePosition } from '../src/tracking.js'
+
+// Two 200 x 200 rooms side by side on L001, sharing the wall at x = 200,
+// and one room on L002. The store is never loaded, so nothing is written.
+const LEFT = new Room('R001', 'Left', 0, 0, 200, 200, 'L001')
+const RIGHT = new Room('R002', 'Right', 200, 0, 200, 200, 'L001')
+const UPSTAIRS = new Room('R003', 'Upstairs', 0, 0, 400, 200, 'L002')
+rooms.push(LEFT, RIGHT, UPSTAIRS)
+
+const SD = 40
+const covariance = { xx: SD ** 2, xy: 0, yy: SD ** 2 }
+
+// Readings one second apart of a device standing at (x, y), with seeded noise.
+function stationaryReadings(count, x, y, levelId = 'L001', start = 0) {
+    const random = createRandom(`${x},${y}`)
+    return Array.from({ length: count }, (_, i) => ({
+        reading: { id: 'D1', levelId, date: new Date((start + i) * 1000).toISOString() },
+        position: { x: x + gaussian(random) * SD, y: y + gaussian(random) * SD, covariance }
+    }))
+}
+
+function track(method, readings, trackMap = new Map()) {
+    return readings.map(({ reading, position }) => fusePosition(trackMap, reading, position, method))
+}
+
+for (const method of ['kalman', 'particle']) {
+    test(`${method} tracker converges on a stationary device`, () => {
+        // Once settled, the estimates stay well closer to the device than the
+        // positions they were fused from
+        const readings = stationaryReadings(40, 100, 100)
+        const estimates = track(method, readings).slice(-20)
+        const meanError = points => points.reduce((sum, p) => sum + Math.hypot(p.x - 100, p.y - 100), 0) / points.length
+        const measured = meanError(readings.slice(-20).map(({ position }) => position))
+        assert.ok(meanError(estimates) < 0.75 * measured, `${meanError(estimates)} against ${measured} measured`)
+        assert.ok(estimates.every(estimate => estimate.roomId === 'R001'))
+    })
+
+    test(`${method} tracker starts over when the device changes level`, () => {
+        const trackMap = new Map()
+        track(method, stationaryReadings(10, 100, 100), trackMap)
+        const before = trackMap.get('D1')
+        const [upstairs] = track(method, stationaryReadings(1, 300, 100, 'L002', 10), trackMap)
+        assert.notEqual(trackMap.get('D1'), before)
+        assert.equal(trackMap.get('D1').levelId, 'L002')
+        assert.equal(upstairs.roomId, 'R003')
+        assert.equal(upstairs.vx, 0)
+        assert.equal(upstairs.vy, 0)
+    })
+}
+
+test('kalman tracker starts from the first position', () => {
+    const [first] = stationaryReadings(1, 100, 100)
+    const [estimate] = track('kalman', [first])
+    assert.equal(estimate.x, first.position.x)
+    assert.equal(estimate.y, first.position.y)
+})
+
+test('particle tracker gives the same track for the same seed', () => {
+    const readings = stationaryReadings(20, 150, 100)
+    assert.deepEqual(track('particle', readings), track('particle', readings))
+})
+
+test('particles only pass between rooms through the doorway', () => {
+    const particles = new ParticleTrack('L001', new Date(0), { x: 100, y: 100, covariance }, [LEFT, RIGHT], 'D1')
+    assert.ok(particles.canMove({ x: 190, y: 100 }, { x: 210, y: 100 }))
+    assert.ok(!particles.canMove({ x: 190, y: 20 }, { x: 210, y: 20 }))
+    assert.ok(!particles.canMove({ x: 190, y: 100 }, { x: 190, y: 220 }))
+})